@@ -0,0 +1,263 @@
+// === adapters.js — Per-State Game Page Parsers ===
+//
+// Each adapter turns one lottery's game page into the calculator's game
+// shape ({ name, number, ticketPrice, claimedOdds, claimedCashOdds, tiers }).
+// It declares the URLs and page markers it handles and its own conventions
+// for ticket tiers and prize labels; parseGamePage picks the adapter from
+// the page URL, or from the page itself when the URL says nothing.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'));
+  } else {
+    root.ScratcherAdapters = factory(root.ScratcherEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+  'use strict';
+
+  const DEFAULT_ID = 'ca';
+
+  const registry = [];
+
+  // adapter: { id, label, hosts: [domain], urlPatterns: [RegExp],
+  //            pagePatterns: [RegExp], parse(html, domParser, adapter),
+  //            isTicketTier(label), prizeLabel(text), priceFromUrl?(url) }
+  function registerAdapter(adapter) {
+    const entry = Object.assign({
+      hosts: [],
+      pagePatterns: [],
+      isTicketTier: engine.isTicketTier,
+      prizeLabel: (text) => text.trim(),
+    }, adapter);
+    const existing = registry.findIndex((a) => a.id === entry.id);
+    if (existing >= 0) registry[existing] = entry;
+    else registry.push(entry);
+  }
+
+  function listAdapters() {
+    return registry.map(({ id, label, hosts }) => ({ id, label, hosts }));
+  }
+
+  function getAdapter(id) {
+    return registry.find((a) => a.id === id) || null;
+  }
+
+  // The adapter whose URL patterns match `url`, else the one whose page
+  // patterns match `html` (a saved page with no URL), else null.
+  function matchAdapter(url, html) {
+    const s = String(url || '');
+    const page = String(html || '');
+    return registry.find((a) => a.urlPatterns.some((re) => re.test(s))) ||
+      registry.find((a) => a.pagePatterns.some((re) => re.test(page))) ||
+      null;
+  }
+
+  // The matching adapter, or California's when none matches.
+  function adapterFor(url, html) {
+    return matchAdapter(url, html) || getAdapter(DEFAULT_ID);
+  }
+
+  // --- Shared table helpers ---
+
+  function squash(el) {
+    return el.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  function cellTexts(row) {
+    return Array.from(row.querySelectorAll('th, td'), squash);
+  }
+
+  // Finds the first table with a header row matching every pattern in
+  // `headers` ({ key: RegExp }) and returns its body rows as objects keyed
+  // the same way, or null when no table matches.
+  function readTable(doc, headers) {
+    const keys = Object.keys(headers);
+    for (const table of doc.querySelectorAll('table')) {
+      const rows = Array.from(table.querySelectorAll('tr'));
+      const headerIdx = rows.findIndex((r) => {
+        const cells = cellTexts(r);
+        return keys.every((k) => cells.some((c) => headers[k].test(c)));
+      });
+      if (headerIdx === -1) continue;
+
+      const headerCells = cellTexts(rows[headerIdx]);
+      const columns = {};
+      for (const k of keys) columns[k] = headerCells.findIndex((c) => headers[k].test(c));
+      return rows.slice(headerIdx + 1)
+        .map(cellTexts)
+        .filter((cells) => cells.length >= headerCells.length)
+        .map((cells) => {
+          const out = {};
+          for (const k of keys) out[k] = cells[columns[k]];
+          return out;
+        });
+    }
+    return null;
+  }
+
+  function count(text) {
+    return parseInt(String(text).replace(/[^\d]/g, ''), 10);
+  }
+
+  function emptyGame() {
+    return { name: '', number: '', ticketPrice: 0, claimedOdds: '', claimedCashOdds: '', tiers: [] };
+  }
+
+  function makeTier(adapter, prizeText, odds, remaining, total) {
+    const prize = adapter.prizeLabel(prizeText);
+    const isTicket = adapter.isTicketTier(prize);
+    return {
+      prize,
+      value: isTicket ? NaN : engine.parsePrizeValue(prize), // NaN sentinel for ticket tier
+      isTicket,
+      odds,
+      remaining,
+      total,
+    };
+  }
+
+  // --- California ---
+
+  registerAdapter({
+    id: 'ca',
+    label: 'California Lottery',
+    hosts: ['calottery.com'],
+    urlPatterns: [/calottery\.com/i],
+    pagePatterns: [/calottery\.com/i, /California State Lottery/i],
+    parse: (html, domParser) => engine.parseCalotteryHtml(html, domParser),
+    priceFromUrl: engine.priceFromUrl,
+  });
+
+  // --- Texas ---
+  // Pages list each tier's prizes in the game and prizes claimed, without
+  // per-tier odds. Those follow from the overall odds: the print run is
+  // overall odds × all prizes, and a tier's odds are print run / its prizes.
+
+  registerAdapter({
+    id: 'tx',
+    label: 'Texas Lottery',
+    hosts: ['texaslottery.com'],
+    urlPatterns: [/texaslottery\.com/i],
+    pagePatterns: [/texaslottery\.com/i, /Texas Lottery/i],
+    isTicketTier: (label) => /\bticket\b/i.test(label),
+    prizeLabel: (text) => text.replace(/\*+/g, '').trim(),
+    parse(html, domParser, adapter) {
+      const doc = domParser.parseFromString(html, 'text/html');
+      const game = emptyGame();
+      const text = squash(doc.body);
+
+      const title = Array.from(doc.querySelectorAll('h1, h2, h3'), squash).find((t) => /Game\s*No\.?\s*\d+/i.test(t));
+      if (title) {
+        const m = title.match(/Game\s*No\.?\s*(\d+)\s*[-–:]?\s*(.*)$/i);
+        game.number = m[1];
+        game.name = m[2].trim();
+      }
+
+      const price = text.match(/Ticket\s+Price:?\s*\$(\d+)/i);
+      if (price) game.ticketPrice = parseInt(price[1], 10);
+
+      const odds = text.match(/odds of winning[^.]*?1\s+in\s+([\d,.]+\d)/i);
+      if (odds) game.claimedOdds = '1 in ' + odds[1];
+
+      const rows = readTable(doc, {
+        prize: /^Amount/i,
+        total: /No\.?\s*in\s*Game/i,
+        claimed: /Claimed/i,
+      }) || [];
+      const parsed = rows
+        .map((r) => ({ prize: r.prize, total: count(r.total), claimed: count(r.claimed) }))
+        .filter((r) => r.prize && r.total > 0 && !isNaN(r.claimed));
+
+      const overall = engine.parseOdds(game.claimedOdds);
+      const printRun = overall * parsed.reduce((s, r) => s + r.total, 0);
+      if (printRun > 0) {
+        game.tiers = parsed.map((r) => makeTier(adapter, r.prize, printRun / r.total, Math.max(0, r.total - r.claimed), r.total));
+      }
+      return game;
+    },
+  });
+
+  // --- Florida ---
+  // Odds are printed "1-in-4.50" and periodic prizes "$1,000/WK/LIFE".
+
+  function floridaOdds(text) {
+    return String(text).replace(/1\s*-\s*in\s*-\s*/i, '1 in ');
+  }
+
+  registerAdapter({
+    id: 'fl',
+    label: 'Florida Lottery',
+    hosts: ['floridalottery.com'],
+    urlPatterns: [/floridalottery\.com/i],
+    pagePatterns: [/floridalottery\.com/i, /Florida Lottery/i],
+    isTicketTier: (label) => /\bticket\b/i.test(label),
+    prizeLabel: (text) => text
+      .trim()
+      .replace(/\/\s*WK\b/i, '/week')
+      .replace(/\/\s*MO\b/i, '/month')
+      .replace(/\/\s*YR\b/i, '/year')
+      .replace(/\/\s*LIFE\b/i, ' for life'),
+    parse(html, domParser, adapter) {
+      const doc = domParser.parseFromString(html, 'text/html');
+      const game = emptyGame();
+      const text = squash(doc.body);
+
+      const h1 = doc.querySelector('h1');
+      if (h1) game.name = squash(h1);
+
+      const number = text.match(/Game\s+(?:Number|No\.?|#)\s*:?\s*(\d+)/i);
+      if (number) game.number = number[1];
+
+      const price = text.match(/Ticket\s+Price:?\s*\$(\d+)/i);
+      if (price) game.ticketPrice = parseInt(price[1], 10);
+
+      const odds = floridaOdds(text).match(/Overall\s+Odds:?\s*1\s+in\s+([\d,.]+\d)/i);
+      if (odds) game.claimedOdds = '1 in ' + odds[1];
+
+      const rows = readTable(doc, {
+        prize: /Prize\s+Amount/i,
+        odds: /Odds/i,
+        total: /Total\s+Prizes/i,
+        remaining: /Prizes\s+Remaining/i,
+      }) || [];
+      for (const r of rows) {
+        const oddsVal = engine.parseOdds(floridaOdds(r.odds));
+        const total = count(r.total);
+        const remaining = count(r.remaining);
+        if (!r.prize || isNaN(oddsVal) || !(total > 0) || isNaN(remaining)) continue;
+        game.tiers.push(makeTier(adapter, r.prize, oddsVal, remaining, total));
+      }
+      return game;
+    },
+  });
+
+  // --- Parsing ---
+
+  function defaultDomParser() {
+    return typeof DOMParser !== 'undefined' ? new DOMParser() : new engine.LiteDOMParser();
+  }
+
+  // Parses a game page with the adapter for `url` and the page (or
+  // `adapterId` when given). The ticket price comes from the URL when the
+  // page omits it.
+  function parseGamePage(html, url, adapterId, domParser) {
+    const adapter = (adapterId && getAdapter(adapterId)) || adapterFor(url, html);
+    const game = adapter.parse(html, domParser || defaultDomParser(), adapter);
+    if (!game.ticketPrice && url && adapter.priceFromUrl) {
+      game.ticketPrice = adapter.priceFromUrl(url) || 0;
+    }
+    game.adapter = adapter.id;
+    if (url) game.url = url;
+    return game;
+  }
+
+  return {
+    DEFAULT_ID,
+    registerAdapter,
+    listAdapters,
+    getAdapter,
+    matchAdapter,
+    adapterFor,
+    parseGamePage,
+  };
+});
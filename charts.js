@@ -0,0 +1,339 @@
+// === charts.js — Dependency-Free SVG Charts ===
+//
+// Each chart function returns an SVG markup string sized by viewBox, so it
+// scales with its container. Colors come from the page's CSS variables.
+// Marks for a table row carry data-index (the row's `index`, or its
+// position) so pages can tie them back to the table.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScratcherCharts = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PALETTE = ['#4f8ff7', '#2ecc71', '#f39c12', '#e74c3c', '#9b59b6', '#1abc9c', '#e67e22', '#95a5a6', '#f1c40f', '#3498db', '#d35400', '#16a085'];
+  const MARGIN = { top: 16, right: 16, bottom: 36, left: 72 };
+
+  function esc(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function color(i) {
+    return PALETTE[i % PALETTE.length];
+  }
+
+  // --- Scales ---
+
+  function linearScale(min, max, lo, hi) {
+    const span = max - min || 1;
+    const fn = (v) => lo + ((v - min) / span) * (hi - lo);
+    fn.ticks = (count) => {
+      const step = niceStep((max - min) / Math.max(count, 1));
+      const out = [];
+      for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) out.push(v);
+      return out;
+    };
+    return fn;
+  }
+
+  function logScale(min, max, lo, hi) {
+    const lmin = Math.log10(Math.max(min, 1e-12));
+    const lmax = Math.log10(Math.max(max, min * 10, 1e-11));
+    const fn = (v) => lo + ((Math.log10(Math.max(v, 1e-12)) - lmin) / (lmax - lmin || 1)) * (hi - lo);
+    fn.ticks = () => {
+      const out = [];
+      for (let e = Math.floor(lmin); e <= Math.ceil(lmax); e++) out.push(Math.pow(10, e));
+      return out.filter((v) => v >= Math.pow(10, lmin) * 0.999 && v <= Math.pow(10, lmax) * 1.001);
+    };
+    return fn;
+  }
+
+  function niceStep(raw) {
+    if (!(raw > 0)) return 1;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const f = raw / mag;
+    return (f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10) * mag;
+  }
+
+  function extent(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of values) {
+      if (!isFinite(v)) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    if (min === Infinity) return [0, 1];
+    if (min === max) return [min - (Math.abs(min) || 1) * 0.05, max + (Math.abs(max) || 1) * 0.05];
+    return [min, max];
+  }
+
+  function shortNum(v) {
+    const a = Math.abs(v);
+    if (a >= 1e9) return (v / 1e9).toFixed(a >= 1e10 ? 0 : 1) + 'B';
+    if (a >= 1e6) return (v / 1e6).toFixed(a >= 1e7 ? 0 : 1) + 'M';
+    if (a >= 1e3) return (v / 1e3).toFixed(a >= 1e4 ? 0 : 1) + 'k';
+    if (a >= 1 || a === 0) return String(Math.round(v * 100) / 100);
+    return v.toPrecision(2);
+  }
+
+  function shortDate(ms) {
+    const d = new Date(ms);
+    return `${d.getMonth() + 1}/${d.getDate()}`;
+  }
+
+  function axes(width, height, x, y, xTicks, yTicks, xFormat, yFormat) {
+    const plotBottom = height - MARGIN.bottom;
+    let svg = `<g class="chart-axis">`;
+    for (const v of yTicks) {
+      const py = y(v);
+      svg += `<line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${py}" y2="${py}" class="chart-grid" />`;
+      svg += `<text x="${MARGIN.left - 6}" y="${py}" text-anchor="end" dominant-baseline="middle">${esc(yFormat(v))}</text>`;
+    }
+    for (const v of xTicks) {
+      svg += `<text x="${x(v)}" y="${plotBottom + 16}" text-anchor="middle">${esc(xFormat(v))}</text>`;
+    }
+    svg += `<line x1="${MARGIN.left}" x2="${width - MARGIN.right}" y1="${plotBottom}" y2="${plotBottom}" class="chart-baseline" />`;
+    svg += `</g>`;
+    return svg;
+  }
+
+  // `colors` overrides the palette, one per label
+  function legend(labels, width, colors) {
+    let svg = '<g class="chart-legend">';
+    let cx = MARGIN.left;
+    let cy = 4;
+    labels.forEach((label, i) => {
+      const w = 18 + String(label).length * 6.5;
+      if (cx + w > width - MARGIN.right) {
+        cx = MARGIN.left;
+        cy += 14;
+      }
+      svg += `<rect x="${cx}" y="${cy}" width="10" height="10" fill="${colors ? colors[i] : color(i)}" />`;
+      svg += `<text x="${cx + 14}" y="${cy + 9}">${esc(label)}</text>`;
+      cx += w;
+    });
+    svg += '</g>';
+    return { svg, height: cy + 16 };
+  }
+
+  function rowIndex(r, i) {
+    return r.index === undefined ? i : r.index;
+  }
+
+  // --- Line chart ---
+
+  // series: [{ label, points: [{ x, y }] }]. X values are timestamps (ms)
+  // unless `opts.xFormat` says otherwise.
+  function lineChart(series, opts) {
+    const o = Object.assign({ width: 720, height: 260, yLog: false, yFormat: shortNum, xFormat: shortDate }, opts || {});
+    const withLegend = series.length > 1;
+    const leg = withLegend ? legend(series.map((s) => s.label), o.width) : { svg: '', height: 0 };
+    const top = MARGIN.top + leg.height;
+
+    const xs = [];
+    const ys = [];
+    for (const s of series) {
+      for (const p of s.points) {
+        xs.push(p.x);
+        if (!o.yLog || p.y > 0) ys.push(p.y);
+      }
+    }
+    const [xmin, xmax] = extent(xs);
+    const [ymin, ymax] = extent(ys);
+    const x = linearScale(xmin, xmax, MARGIN.left, o.width - MARGIN.right);
+    const y = o.yLog
+      ? logScale(ymin, ymax, o.height - MARGIN.bottom, top)
+      : linearScale(ymin, ymax, o.height - MARGIN.bottom, top);
+
+    const xTicks = x.ticks(6);
+    let svg = `<svg class="chart" viewBox="0 0 ${o.width} ${o.height}" preserveAspectRatio="xMidYMid meet" role="img">`;
+    svg += leg.svg;
+    svg += axes(o.width, o.height, x, y, xTicks.length > 1 ? xTicks : [xmin], y.ticks(5), o.xFormat, o.yFormat);
+
+    series.forEach((s, i) => {
+      const pts = s.points.filter((p) => isFinite(p.y) && (!o.yLog || p.y > 0));
+      if (pts.length === 0) return;
+      const d = pts.map((p, j) => `${j === 0 ? 'M' : 'L'}${x(p.x).toFixed(1)},${y(p.y).toFixed(1)}`).join(' ');
+      svg += `<path d="${d}" fill="none" stroke="${color(i)}" stroke-width="2" />`;
+      for (const p of pts) {
+        svg += `<circle cx="${x(p.x).toFixed(1)}" cy="${y(p.y).toFixed(1)}" r="3" fill="${color(i)}"><title>${esc(s.label)}: ${esc(o.yFormat(p.y))} (${esc(o.xFormat(p.x))})</title></circle>`;
+      }
+    });
+
+    svg += '</svg>';
+    return svg;
+  }
+
+  // --- Bar chart ---
+
+  // rows: [{ label, values: [one per series], index? }], drawn as horizontal
+  // bars top to bottom; `opts.series` names the series (a legend is shown
+  // for more than one). With `opts.xLog` values go on a log axis and bars
+  // start at its left edge; values of zero or less are left out.
+  function barChart(rows, opts) {
+    const o = Object.assign({ width: 720, rowHeight: 22, labelWidth: 160, xFormat: shortNum, xLog: false, series: [''] }, opts || {});
+    const n = o.series.length;
+    const leg = n > 1 ? legend(o.series, o.width) : { svg: '', height: 0 };
+    const top = MARGIN.top + leg.height;
+    const height = top + rows.length * o.rowHeight + MARGIN.bottom;
+    const left = o.labelWidth;
+
+    const values = [];
+    for (const r of rows) {
+      for (const v of r.values) if (!o.xLog || v > 0) values.push(v);
+    }
+    let [xmin, xmax] = extent(values);
+    if (o.xLog) {
+      // Whole decades, so the smallest bar still shows
+      xmin = Math.pow(10, Math.ceil(Math.log10(xmin)) - 1);
+      xmax = Math.pow(10, Math.ceil(Math.log10(xmax)));
+    } else {
+      xmin = Math.min(0, xmin);
+      xmax = Math.max(0, xmax);
+    }
+    const x = o.xLog
+      ? logScale(xmin, xmax, left, o.width - MARGIN.right)
+      : linearScale(xmin, xmax, left, o.width - MARGIN.right);
+    const origin = o.xLog ? left : x(0);
+
+    let svg = `<svg class="chart" viewBox="0 0 ${o.width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">`;
+    svg += leg.svg;
+    svg += '<g class="chart-axis">';
+    for (const v of x.ticks(6)) {
+      svg += `<line x1="${x(v)}" x2="${x(v)}" y1="${top}" y2="${height - MARGIN.bottom}" class="chart-grid" />`;
+      svg += `<text x="${x(v)}" y="${height - MARGIN.bottom + 16}" text-anchor="middle">${esc(o.xFormat(v))}</text>`;
+    }
+    svg += '</g>';
+
+    const barHeight = (o.rowHeight - 6) / n;
+    rows.forEach((r, i) => {
+      const y = top + i * o.rowHeight + 3;
+      svg += `<g class="chart-row" data-index="${rowIndex(r, i)}">`;
+      svg += `<rect x="0" y="${y - 3}" width="${o.width}" height="${o.rowHeight}" class="chart-hit" />`;
+      svg += `<text x="${left - 6}" y="${y + (o.rowHeight - 6) / 2}" text-anchor="end" dominant-baseline="middle">${esc(r.label)}</text>`;
+      r.values.forEach((v, k) => {
+        if (!isFinite(v) || (o.xLog && !(v > 0))) return;
+        const x0 = Math.min(origin, x(v));
+        const w = Math.max(1, Math.abs(x(v) - origin));
+        const name = o.series[k] ? `${r.label}, ${o.series[k]}` : r.label;
+        svg += `<rect x="${x0.toFixed(1)}" y="${(y + k * barHeight).toFixed(1)}" width="${w.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${color(k)}"><title>${esc(name)}: ${esc(o.xFormat(v))}</title></rect>`;
+      });
+      svg += '</g>';
+    });
+    if (!o.xLog) {
+      svg += `<line x1="${origin}" x2="${origin}" y1="${top}" y2="${height - MARGIN.bottom}" class="chart-baseline" />`;
+    }
+
+    svg += '</svg>';
+    return svg;
+  }
+
+  // --- Scatter chart ---
+
+  // points: [{ x, y, z, label, index? }]. `z` is a signed second measure:
+  // its sign picks the color (`opts.zLabels`: [negative, positive]) and its
+  // size relative to the largest |z| the radius.
+  function scatterChart(points, opts) {
+    const o = Object.assign({
+      width: 720,
+      height: 320,
+      xFormat: shortNum,
+      yFormat: shortNum,
+      zFormat: shortNum,
+      zLabels: ['Below', 'Above'],
+    }, opts || {});
+    const negative = '#e74c3c';
+    const positive = '#2ecc71';
+    const leg = legend(o.zLabels, o.width, [negative, positive]);
+    const top = MARGIN.top + leg.height;
+
+    const shown = points.filter((p) => isFinite(p.x) && isFinite(p.y));
+    let [xmin, xmax] = extent(shown.map((p) => p.x));
+    const pad = (xmax - xmin) * 0.05;
+    xmin -= pad;
+    xmax += pad;
+    const [ymin, ymax] = extent(shown.map((p) => p.y));
+    const x = linearScale(xmin, xmax, MARGIN.left, o.width - MARGIN.right);
+    const y = linearScale(ymin, ymax, o.height - MARGIN.bottom, top);
+    const zMax = shown.reduce((m, p) => (isFinite(p.z) ? Math.max(m, Math.abs(p.z)) : m), 0);
+
+    let svg = `<svg class="chart" viewBox="0 0 ${o.width} ${o.height}" preserveAspectRatio="xMidYMid meet" role="img">`;
+    svg += leg.svg;
+    svg += axes(o.width, o.height, x, y, x.ticks(6), y.ticks(5), o.xFormat, o.yFormat);
+    if (ymin < 0 && ymax > 0) {
+      svg += `<line x1="${MARGIN.left}" x2="${o.width - MARGIN.right}" y1="${y(0)}" y2="${y(0)}" class="chart-baseline" />`;
+    }
+
+    shown.forEach((p, i) => {
+      const z = isFinite(p.z) ? p.z : 0;
+      const r = 3 + (zMax > 0 ? 6 * Math.sqrt(Math.abs(z) / zMax) : 0);
+      svg += `<circle cx="${x(p.x).toFixed(1)}" cy="${y(p.y).toFixed(1)}" r="${r.toFixed(1)}" fill="${z < 0 ? negative : positive}" fill-opacity="0.7" data-index="${rowIndex(p, i)}">` +
+        `<title>${esc(p.label)}: ${esc(o.xFormat(p.x))}, ${esc(o.yFormat(p.y))} (${esc(o.zFormat(z))})</title></circle>`;
+    });
+
+    svg += '</svg>';
+    return svg;
+  }
+
+  // --- Tornado chart ---
+
+  // rows: [{ label, down, up }], drawn top to bottom as bars from `base` to
+  // the value with the input moved down (first color) and up (second).
+  // Labels take the left margin, `opts.labelWidth` wide.
+  function tornadoChart(rows, base, opts) {
+    const o = Object.assign({ width: 720, rowHeight: 22, labelWidth: 160, xFormat: shortNum, legend: ['Input down', 'Input up'] }, opts || {});
+    const leg = legend(o.legend, o.width);
+    const top = MARGIN.top + leg.height;
+    const height = top + rows.length * o.rowHeight + MARGIN.bottom;
+    const left = o.labelWidth;
+
+    const [xmin, xmax] = extent([base].concat(...rows.map((r) => [r.down, r.up])));
+    const x = linearScale(xmin, xmax, left, o.width - MARGIN.right);
+    const xTicks = x.ticks(6);
+
+    let svg = `<svg class="chart" viewBox="0 0 ${o.width} ${height}" preserveAspectRatio="xMidYMid meet" role="img">`;
+    svg += leg.svg;
+    svg += '<g class="chart-axis">';
+    for (const v of xTicks) {
+      svg += `<line x1="${x(v)}" x2="${x(v)}" y1="${top}" y2="${height - MARGIN.bottom}" class="chart-grid" />`;
+      svg += `<text x="${x(v)}" y="${height - MARGIN.bottom + 16}" text-anchor="middle">${esc(o.xFormat(v))}</text>`;
+    }
+    svg += '</g>';
+
+    const bar = (from, to, y, fill, title) => {
+      const x0 = Math.min(x(from), x(to));
+      const w = Math.max(1, Math.abs(x(to) - x(from)));
+      return `<rect x="${x0.toFixed(1)}" y="${y}" width="${w.toFixed(1)}" height="${o.rowHeight - 6}" fill="${fill}"><title>${esc(title)}</title></rect>`;
+    };
+    rows.forEach((r, i) => {
+      const y = top + i * o.rowHeight + 3;
+      svg += `<g class="chart-row" data-index="${rowIndex(r, i)}">`;
+      svg += `<text x="${left - 6}" y="${y + (o.rowHeight - 6) / 2}" text-anchor="end" dominant-baseline="middle">${esc(r.label)}</text>`;
+      svg += bar(base, r.down, y, color(0), `${r.label}, ${o.legend[0]}: ${o.xFormat(r.down)}`);
+      svg += bar(base, r.up, y, color(1), `${r.label}, ${o.legend[1]}: ${o.xFormat(r.up)}`);
+      svg += '</g>';
+    });
+    svg += `<line x1="${x(base)}" x2="${x(base)}" y1="${top}" y2="${height - MARGIN.bottom}" class="chart-baseline" />`;
+
+    svg += '</svg>';
+    return svg;
+  }
+
+  return {
+    PALETTE,
+    color,
+    shortNum,
+    lineChart,
+    barChart,
+    scatterChart,
+    tornadoChart,
+  };
+});
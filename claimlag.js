@@ -0,0 +1,81 @@
+// === claimlag.js — Prize-Claim Lag Model ===
+//
+// A game page's "remaining" count only drops when a prize is claimed, and
+// big winners often wait weeks to claim or never do. This model estimates
+// how many of a tier's prizes have really been won, and so how many are
+// left in the unsold tickets, from a per-prize-size claim lag.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScratcherClaimLag = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Claim delays are exponential with mean `meanDays`; `unclaimed` is the
+  // share of winners who never claim. Each band covers face values from its
+  // `min` up to the next band's.
+  const DEFAULT_CLAIM_LAG = {
+    enabled: false,
+    gameAgeDays: 180, // days since launch; prizes are taken to be won evenly over them
+    bands: [
+      { min: 0, meanDays: 0, unclaimed: 0 },
+      { min: 600, meanDays: 7, unclaimed: 0.01 },
+      { min: 10000, meanDays: 21, unclaimed: 0.02 },
+      { min: 100000, meanDays: 45, unclaimed: 0.03 },
+    ],
+  };
+
+  function resolveClaimLag(settings) {
+    return Object.assign({}, DEFAULT_CLAIM_LAG, settings || {});
+  }
+
+  function isEnabled(settings) {
+    return !!(settings && settings.enabled);
+  }
+
+  // The band for a prize's face value: the one with the highest `min` the
+  // value reaches.
+  function bandFor(value, settings) {
+    const bands = resolveClaimLag(settings).bands.slice().sort((a, b) => a.min - b.min);
+    let band = { min: 0, meanDays: 0, unclaimed: 0 };
+    for (const b of bands) {
+      if (value >= b.min) band = b;
+    }
+    return band;
+  }
+
+  // Share of the prizes won so far that have been claimed, for prizes won
+  // at an even rate over `ageDays`:
+  // (1 - unclaimed) * (1 - L/A * (1 - e^(-A/L))) for mean lag L and age A.
+  function claimedShare(band, ageDays) {
+    const keep = 1 - Math.min(1, Math.max(0, band.unclaimed || 0));
+    const L = band.meanDays;
+    if (!(L > 0)) return keep;
+    if (!(ageDays > 0)) return 0;
+    return keep * (1 - (L / ageDays) * -Math.expm1(-ageDays / L));
+  }
+
+  // Effective remaining count for a tier of face value `value` whose page
+  // shows `remaining` of `total`: claims are scaled up by the claimed share
+  // to the prizes actually won. `pending` is the won-but-unclaimed estimate.
+  function adjustTier(value, remaining, total, settings) {
+    const s = resolveClaimLag(settings);
+    const share = claimedShare(bandFor(value, s), s.gameAgeDays);
+    const claimed = Math.max(0, total - remaining);
+    const won = share > 0 ? claimed / share : (claimed > 0 ? total : 0);
+    const effective = Math.max(0, Math.min(remaining, total - won));
+    return { remaining: effective, pending: remaining - effective, claimedShare: share };
+  }
+
+  return {
+    DEFAULT_CLAIM_LAG,
+    resolveClaimLag,
+    isEnabled,
+    bandFor,
+    claimedShare,
+    adjustTier,
+  };
+});
@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+// === cli.js — Command-line analyzer for saved game pages and JSON game lists ===
+//
+// Usage:
+//   node cli.js [options] <file...>        (use "-" to read stdin)
+//   node cli.js --index [--pages <dir>] [options] <index-file>
+//
+// A file holding HTML is parsed as a lottery game page, by the adapter for
+// --url or the page itself (or --adapter; California, with a warning, when
+// none matches), and reported per tier (computeEV). A file holding JSON is read in the All
+// Scratchers format and reported one row per game (computeOverview). With
+// --index, the file is a saved scratchers index page: every game it links
+// is loaded (from --pages, or over the network) and reported as a list.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const engine = require('./engine');
+const taxModel = require('./tax');
+const estimators = require('./estimators');
+const loader = require('./loader');
+const adapters = require('./adapters');
+const csv = require('./csv');
+const validate = require('./validate');
+const claimLag = require('./claimlag');
+
+const USAGE = `Usage: node cli.js [options] <file...>
+       node cli.js --index [--pages <dir>] [options] <index-file>
+
+Options:
+  --ignore-under-500   Set prizes under $500 to $0
+  --apply-tax          Apply the tax model to monetary prizes
+  --filing-status <s>  single (default), married, separate or head
+  --other-income <$>   Other taxable income (default 0)
+  --state <rule>       CA (default, lottery exempt) or flat
+  --state-rate <pct>   State rate in percent for --state flat
+  --payout <mode>      Annuity prizes: lump (default, cash option) or annuity
+  --cash-ratio <pct>   Cash option as a percent of the nominal total (default 50)
+  --discount-rate <p>  Annual discount rate in percent for --payout annuity (default 4)
+  --term-years <n>     Payout term for "for life" and large prizes (default 20)
+  --annuity-at <$>     Lump prizes at or above this pay as annuities (default 0 = off)
+  --estimator <id>     Remaining-ticket estimator: ticket-anchor, median,
+                       scaled-mean, wls or mle (default: the engine's own)
+  --ticket-value <m>   Free-ticket valuation: recursive (default) or price
+  --claim-lag          Also report EV with likely unclaimed winners taken out
+  --game-age <days>    With --claim-lag, days the game has been on sale (default 180)
+  --lag-bands <spec>   With --claim-lag, bands as min:meanDays:neverPct,...
+                       (default 0:0:0,600:7:1,10000:21:2,100000:45:3)
+  --url <url>          Source URL of a saved page, used to pick its adapter and
+                       for the ticket price (with --index, the base for
+                       relative game links)
+  --adapter <id>       Page format: ca, tx or fl; overrides --url and the
+                       page's own markers (default: detected, else ca)
+  --index              Treat the file as a saved scratchers index page and
+                       analyze every game it links to
+  --pages <dir>        With --index, read game pages from <dir> (saved as
+                       <last-url-segment>.html) instead of fetching them
+  --concurrency <n>    With --index, pages fetched at once (default 4)
+  --format <fmt>       table (default), json or csv
+  -h, --help           Show this help`;
+
+const FORMATS = ['table', 'json', 'csv'];
+const TICKET_VALUATIONS = ['recursive', 'price'];
+const PAYOUT_MODES = ['lump', 'annuity'];
+
+// "600:7:1,10000:21:2" -> claim-lag bands; null when malformed.
+function parseLagBands(spec) {
+  const bands = String(spec).split(',').map((part) => {
+    const [min, meanDays, never] = part.split(':').map(Number);
+    return { min, meanDays, unclaimed: (never || 0) / 100 };
+  });
+  const ok = bands.every((b) => b.min >= 0 && b.meanDays >= 0 && b.unclaimed >= 0 && b.unclaimed <= 1);
+  return ok ? bands : null;
+}
+
+// --- Input ---
+
+function readInput(file) {
+  return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+function looksLikeJson(text) {
+  return /^\s*[[{]/.test(text);
+}
+
+function createDirectoryFetcher(dir) {
+  return async (url) => {
+    const file = path.join(dir, loader.pageFileName(url));
+    if (!fs.existsSync(file)) throw new Error(`No saved page at ${file}`);
+    return fs.readFileSync(file, 'utf8');
+  };
+}
+
+// --- Analysis ---
+
+function analyzePage(html, options, url, adapterId) {
+  if (!adapterId && !adapters.matchAdapter(url, html)) {
+    process.stderr.write(`No adapter recognizes this page; parsing it as ${adapters.getAdapter(adapters.DEFAULT_ID).label}. Pass --adapter to choose one.\n`);
+  }
+  const game = adapters.parseGamePage(html, url, adapterId);
+  if (game.tiers.length === 0) {
+    throw new Error('Could not parse any prize tiers from the page.');
+  }
+  const issues = validate.validateGame(game, { url });
+  const result = engine.computeEV(game, options);
+  if (result.error) throw new Error(result.error);
+  return { kind: 'game', game, result, issues };
+}
+
+function analyzeList(text, options) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Invalid JSON: ' + e.message);
+  }
+  const games = Array.isArray(parsed) ? parsed : [parsed];
+  const rows = [];
+  const skipped = [];
+  for (const g of games) {
+    const issues = validate.validateGame(g);
+    const row = engine.computeOverview(g, options);
+    if (row) {
+      rows.push(Object.assign(row, { issues }));
+    } else {
+      const error = issues.find((x) => x.level === 'error');
+      skipped.push(`${g.name || g.number || '(unnamed)'}${error ? ` (${error.message})` : ''}`);
+    }
+  }
+  if (rows.length === 0) throw new Error('No game in the list could be analyzed.');
+  return { kind: 'overview', rows, skipped };
+}
+
+// Loads every game linked from a saved index page. Pages that fail are
+// reported on stderr; the rest are analyzed as a list.
+async function analyzeIndex(html, options, params) {
+  const indexUrl = params.url || loader.INDEX_URL;
+  const fetcher = (url) => (url === indexUrl ? Promise.resolve(html) : params.fetcher(url));
+  const { entries, games } = await loader.loadIndex(indexUrl, fetcher, {
+    concurrency: params.concurrency || loader.DEFAULTS.concurrency,
+    retries: params.retries === undefined ? loader.DEFAULTS.retries : params.retries,
+  }, (entry) => {
+    if (entry.status === 'retrying' || entry.status === 'error') {
+      process.stderr.write(`${entry.url}: ${entry.status === 'retrying' ? 'retrying after ' : ''}${entry.error}\n`);
+    }
+  });
+  const failed = entries.filter((e) => e.status === 'error').length;
+  process.stderr.write(`Loaded ${games.length} of ${entries.length} game pages` +
+    (failed ? `, ${failed} failed` : '') + '\n');
+  if (games.length === 0) throw new Error('None of the linked game pages could be loaded.');
+  return analyzeList(JSON.stringify(games), options);
+}
+
+// --- Output ---
+
+const GAME_COLUMNS = [
+  ['Prize', (t) => t.prize],
+  ['Odds', (t) => t.oddsText],
+  ['Remaining', (t) => t.remaining],
+  ['Total', (t) => t.total],
+  ['Probability', (t) => t.probability],
+  ['Adjusted Value', (t) => t.adjustedValue],
+  ['EV Contribution', (t) => t.evContribution],
+];
+
+const OVERVIEW_COLUMNS = [
+  ['Price', (r) => r.price],
+  ['Game', (r) => r.name],
+  ['Number', (r) => r.number],
+  ['Claimed Odds', (r) => r.claimedOddsText],
+  ['Calc Odds', (r) => r.calcOddsVal],
+  ['Claimed EV', (r) => r.claimedEV],
+  ['Calc EV', (r) => r.calcEV],
+  ['Claim-Lag EV', (r) => r.claimLagEV],
+  ['EV Delta %', (r) => r.deltaPercent],
+  ['Odds Drift %', (r) => r.oddsDrift],
+  ['Drift M', (r) => Math.round(r.oddsDriftM)],
+  ['Issues', (r) => r.issues.length],
+];
+
+function oddsLine(label, line) {
+  const odds = (n) => (n > 0 && isFinite(n) ? `1 in ${n.toFixed(2)}` : '—');
+  const drift = isNaN(line.drift) ? '—' : `${line.drift > 0 ? '+' : ''}${(line.drift * 100).toFixed(2)}%`;
+  return `${label}: claimed ${odds(line.claimed)}, launch ${odds(line.launch)}, now ${odds(line.now)}, drift ${drift}` +
+    (line.mismatch ? '  [launch odds miss the claim]' : '');
+}
+
+// Which M the drift figures use, when it is not the report's own.
+function driftNote(check) {
+  return check.drift.M === check.M
+    ? []
+    : [`Drift measured at M ${engine.formatNum(Math.round(check.drift.M))} [${check.drift.label}]`];
+}
+
+function displayCell(v) {
+  if (typeof v !== 'number') return String(v);
+  if (Number.isInteger(v)) return engine.formatNum(v);
+  return v.toFixed(Math.abs(v) < 1 ? 6 : 4);
+}
+
+function textTable(columns, rows) {
+  const header = columns.map((c) => c[0]);
+  const body = rows.map((r) => columns.map((c) => displayCell(c[1](r))));
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map((b) => b[i].length)));
+  const line = (cells) => cells
+    .map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i])))
+    .join('  ');
+  return [line(header), widths.map((w) => '-'.repeat(w)).join('  '), ...body.map(line)].join('\n');
+}
+
+function formatReport(report, format) {
+  if (format === 'json') {
+    return JSON.stringify(report.kind === 'game'
+      ? { game: report.game, ...report.result, issues: report.issues }
+      : { games: report.rows, skipped: report.skipped }, null, 2);
+  }
+
+  if (report.kind === 'overview') {
+    const columns = report.rows.some((r) => r.claimLagEV !== null)
+      ? OVERVIEW_COLUMNS
+      : OVERVIEW_COLUMNS.filter((c) => c[0] !== 'Claim-Lag EV');
+    const table = format === 'csv'
+      ? csv.toCsv(columns, report.rows)
+      : textTable(columns, report.rows);
+    if (format === 'csv' || report.skipped.length === 0) return table;
+    return table + '\n\nSkipped: ' + report.skipped.join('; ');
+  }
+
+  const { game, result, issues } = report;
+  if (format === 'csv') return csv.toCsv(GAME_COLUMNS, result.tiers);
+  const title = [game.name, game.number && `(${game.number})`].filter(Boolean).join(' ');
+  const lines = [
+    title || 'Game',
+    `Ticket price: $${result.ticketPrice}`,
+    `Est. remaining tickets (M): ${engine.formatNum(Math.round(result.M))} [${result.method}]`,
+    `Gross EV: ${result.evGross.toFixed(4)}  Net EV: ${result.evNet.toFixed(4)}`,
+    ...(result.claimLag
+      ? [`Claim-lag adjusted: Gross EV ${result.claimLag.evGross.toFixed(4)}  Net EV ${result.claimLag.evNet.toFixed(4)}`]
+      : []),
+    oddsLine('Overall odds', result.oddsCheck.overall),
+    oddsLine('Cash odds', result.oddsCheck.cash),
+    ...driftNote(result.oddsCheck),
+    '',
+    textTable(GAME_COLUMNS, result.tiers),
+  ];
+  if (issues.length > 0) {
+    lines.push('', 'Data issues:', ...issues.map((x) => `  ${x.level}: ${x.message}`));
+  }
+  return lines.join('\n');
+}
+
+// --- Main ---
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'ignore-under-500': { type: 'boolean', default: false },
+        'apply-tax': { type: 'boolean', default: false },
+        'filing-status': { type: 'string', default: 'single' },
+        'other-income': { type: 'string', default: '0' },
+        state: { type: 'string', default: 'CA' },
+        'state-rate': { type: 'string', default: '0' },
+        'ticket-value': { type: 'string', default: 'recursive' },
+        estimator: { type: 'string' },
+        payout: { type: 'string', default: 'lump' },
+        'cash-ratio': { type: 'string', default: '50' },
+        'discount-rate': { type: 'string', default: '4' },
+        'term-years': { type: 'string', default: '20' },
+        'annuity-at': { type: 'string', default: '0' },
+        'claim-lag': { type: 'boolean', default: false },
+        'game-age': { type: 'string', default: String(claimLag.DEFAULT_CLAIM_LAG.gameAgeDays) },
+        'lag-bands': { type: 'string' },
+        url: { type: 'string' },
+        adapter: { type: 'string' },
+        index: { type: 'boolean', default: false },
+        pages: { type: 'string' },
+        concurrency: { type: 'string', default: String(loader.DEFAULTS.concurrency) },
+        format: { type: 'string', default: 'table' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (e) {
+    process.stderr.write(e.message + '\n\n' + USAGE + '\n');
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+  if (positionals.length === 0 || !FORMATS.includes(values.format) ||
+    (values.index && positionals.length !== 1) ||
+    (values.pages && !values.index) ||
+    (values.adapter && !adapters.getAdapter(values.adapter)) ||
+    !(parseInt(values.concurrency, 10) > 0) ||
+    !TICKET_VALUATIONS.includes(values['ticket-value']) ||
+    !PAYOUT_MODES.includes(values.payout) ||
+    (values.estimator && !estimators.listEstimators().some((e) => e.id === values.estimator)) ||
+    !(values['filing-status'] in taxModel.FILING_STATUSES) ||
+    !(values.state in taxModel.STATE_RULES) ||
+    !(parseFloat(values['game-age']) > 0) ||
+    (values['lag-bands'] && !parseLagBands(values['lag-bands']))) {
+    process.stderr.write(USAGE + '\n');
+    return 2;
+  }
+
+  const options = {
+    ignoreUnder500: values['ignore-under-500'],
+    applyTax: values['apply-tax'],
+    tax: {
+      filingStatus: values['filing-status'],
+      otherIncome: parseFloat(values['other-income']) || 0,
+      state: values.state,
+      stateRate: parseFloat(values['state-rate']) || 0,
+    },
+    payout: {
+      mode: values.payout,
+      cashOptionRatio: (parseFloat(values['cash-ratio']) || 0) / 100,
+      discountRate: parseFloat(values['discount-rate']) || 0,
+      termYears: parseInt(values['term-years'], 10) || 20,
+      annuityThreshold: parseFloat(values['annuity-at']) || 0,
+    },
+    ticketValuation: values['ticket-value'],
+    estimator: values.estimator,
+    claimLag: {
+      enabled: values['claim-lag'],
+      gameAgeDays: parseFloat(values['game-age']),
+      bands: values['lag-bands'] ? parseLagBands(values['lag-bands']) : claimLag.DEFAULT_CLAIM_LAG.bands,
+    },
+  };
+
+  if (values.index) {
+    try {
+      const report = await analyzeIndex(readInput(positionals[0]), options, {
+        url: values.url,
+        concurrency: parseInt(values.concurrency, 10),
+        // A missing saved page won't appear on a second try
+        retries: values.pages ? 0 : undefined,
+        fetcher: values.pages
+          ? createDirectoryFetcher(values.pages)
+          : loader.createProxyFetcher(''),
+      });
+      process.stdout.write(formatReport(report, values.format) + '\n');
+      return 0;
+    } catch (e) {
+      process.stderr.write(`${positionals[0]}: ${e.message}\n`);
+      return 1;
+    }
+  }
+
+  let status = 0;
+  const outputs = [];
+  for (const file of positionals) {
+    try {
+      const text = readInput(file);
+      const report = looksLikeJson(text)
+        ? analyzeList(text, options)
+        : analyzePage(text, options, values.url, values.adapter);
+      outputs.push(positionals.length > 1 && values.format === 'table'
+        ? `== ${file} ==\n` + formatReport(report, values.format)
+        : formatReport(report, values.format));
+    } catch (e) {
+      process.stderr.write(`${file}: ${e.message}\n`);
+      status = 1;
+    }
+  }
+  if (outputs.length > 0) process.stdout.write(outputs.join('\n\n') + '\n');
+  return status;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, analyzePage, analyzeList, analyzeIndex, formatReport };
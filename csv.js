@@ -0,0 +1,269 @@
+// === csv.js — CSV/TSV Import and Export ===
+//
+// Import reads one row per prize tier, maps columns to game and tier fields
+// by header name (overridable), and groups the rows into games by number.
+// Export writes the active modeling options as "# " comment lines ahead of
+// the header row; import skips such lines there, and only there.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'));
+  } else {
+    root.ScratcherCsv = factory(root.ScratcherEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+  'use strict';
+
+  // Field -> header names it is recognized by (compared lowercased, with
+  // punctuation removed). Order matters: the first field to claim a column wins.
+  const FIELDS = [
+    { id: 'number', label: 'Game number', aliases: ['game number', 'game no', 'number', 'no', 'game id', 'id'] },
+    { id: 'name', label: 'Game name', aliases: ['game name', 'name', 'game', 'title'] },
+    { id: 'price', label: 'Ticket price', aliases: ['price', 'ticket price', 'cost'] },
+    { id: 'claimedOdds', label: 'Claimed overall odds', aliases: ['claimed odds', 'overall odds', 'game odds'] },
+    { id: 'prize', label: 'Prize', aliases: ['prize', 'prize amount', 'amount', 'value', 'tier'] },
+    { id: 'odds', label: 'Tier odds (1 in N)', aliases: ['odds', 'tier odds', 'odds 1 in', 'odds of winning'] },
+    { id: 'remaining', label: 'Prizes remaining', aliases: ['remaining', 'prizes remaining', 'left'] },
+    { id: 'total', label: 'Total prizes', aliases: ['total', 'total prizes', 'original total', 'initial', 'no in game'] },
+  ];
+
+  const REQUIRED = ['prize', 'odds', 'remaining'];
+
+  // --- Parsing ---
+
+  function detectDelimiter(text) {
+    const line = text.split(/\r?\n/).find((l) => l.trim() && !l.startsWith('# ')) || '';
+    const counts = { '\t': 0, ',': 0, ';': 0 };
+    for (const ch of line) if (ch in counts) counts[ch]++;
+    return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a), ',');
+  }
+
+  // RFC 4180 style: quoted fields may hold delimiters, newlines and "" for
+  // a literal quote. Blank lines are skipped, and so are lines starting with
+  // "# " ahead of the first row (the options toCsv writes). Each row gets
+  // `line`, the 1-based line of the source it starts on.
+  function parseDelimited(text, delimiter) {
+    const delim = delimiter || detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let atLineStart = true;
+    let comment = false;
+    let line = 1;
+    let rowLine = 1;
+
+    function endRow() {
+      row.push(field);
+      if (row.some((c) => c.trim() !== '')) {
+        row.line = rowLine;
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      const newline = ch === '\n' || (ch === '\r' && text[i + 1] !== '\n');
+      if (comment) {
+        if (newline) {
+          comment = false;
+          atLineStart = true;
+          line++;
+        }
+        continue;
+      }
+      if (atLineStart) {
+        if (rows.length === 0 && text.startsWith('# ', i)) {
+          comment = true;
+          continue;
+        }
+        rowLine = line;
+        atLineStart = false;
+      }
+
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+          if (newline) line++;
+        }
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delim) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        endRow();
+        atLineStart = true;
+        line++;
+      } else {
+        field += ch;
+      }
+    }
+    endRow();
+    return rows;
+  }
+
+  function normalizeHeader(h) {
+    return String(h).toLowerCase().replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // { field: column index } for every field whose alias matches a header.
+  function guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const used = new Set();
+    const mapping = {};
+    for (const f of FIELDS) {
+      for (const alias of f.aliases) {
+        const idx = normalized.findIndex((h, i) => !used.has(i) && h === alias);
+        if (idx !== -1) {
+          mapping[f.id] = idx;
+          used.add(idx);
+          break;
+        }
+      }
+    }
+    return mapping;
+  }
+
+  function missingFields(mapping) {
+    return REQUIRED.filter((f) => !(mapping[f] >= 0));
+  }
+
+  // A plain amount becomes a number; anything else ("Ticket",
+  // "$1,000/week for life") stays a label for the engine to interpret.
+  function prizeValue(text) {
+    const s = text.trim();
+    return /^\$?\s*[\d,]+(\.\d+)?$/.test(s) ? engine.parseCurrency(s) : s;
+  }
+
+  // Groups tier rows into games in the common JSON shape. Rows without a
+  // game number fall back to the game name. Errors name each row's source
+  // line (`row.line` from parseDelimited). Returns { games, errors }.
+  function rowsToGames(rows, mapping) {
+    const missing = missingFields(mapping);
+    if (missing.length > 0) {
+      throw new Error('Missing column mapping for: ' + missing.map((id) => FIELDS.find((f) => f.id === id).label).join(', '));
+    }
+    const cell = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+    const games = new Map();
+    const errors = [];
+
+    rows.forEach((row, i) => {
+      const line = row.line || i + 2; // without a source line, count from after the header
+      const key = cell(row, 'number') || cell(row, 'name');
+      if (!key) {
+        errors.push(`Row ${line}: no game number or name.`);
+        return;
+      }
+
+      const prize = cell(row, 'prize');
+      const odds = engine.parseOdds(cell(row, 'odds'));
+      const remainingText = cell(row, 'remaining');
+      const pair = engine.parseRemainingOfTotal(remainingText);
+      const remaining = pair ? pair.remaining : engine.parseCurrency(remainingText);
+      const total = pair && !(mapping.total >= 0) ? pair.total : engine.parseCurrency(cell(row, 'total'));
+      if (!prize || isNaN(odds) || isNaN(remaining)) {
+        errors.push(`Row ${line}: needs a prize, odds and remaining count.`);
+        return;
+      }
+
+      if (!games.has(key)) {
+        games.set(key, {
+          name: cell(row, 'name'),
+          number: cell(row, 'number'),
+          price: engine.parseCurrency(cell(row, 'price')) || 0,
+          claimedOdds: cell(row, 'claimedOdds'),
+          tiers: [],
+        });
+      }
+      const g = games.get(key);
+      // Game-level columns only need filling in on one of the game's rows
+      if (!g.name) g.name = cell(row, 'name');
+      if (!g.price) g.price = engine.parseCurrency(cell(row, 'price')) || 0;
+      if (!g.claimedOdds) g.claimedOdds = cell(row, 'claimedOdds');
+      const isTicket = engine.isTicketTier(prize);
+      g.tiers.push({
+        label: prize,
+        value: isTicket ? 'Ticket' : prizeValue(prize),
+        isTicket,
+        odds,
+        remaining,
+        total: isNaN(total) ? remaining : total,
+      });
+    });
+
+    for (const g of games.values()) {
+      if (!g.price) errors.push(`Game ${g.number || g.name}: no ticket price.`);
+    }
+    return { games: Array.from(games.values()), errors };
+  }
+
+  // --- Export ---
+
+  // Text that a spreadsheet would read as a formula gets a leading "'";
+  // scraped names and prize labels are not trusted. Numbers pass as they are.
+  function csvCell(v) {
+    let s = v === undefined || v === null ? '' : String(v);
+    if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  // columns: [[header, (row) => value]]. `meta` lines go first as comments.
+  function toCsv(columns, rows, meta) {
+    const lines = (meta || []).map((m) => '# ' + m);
+    lines.push(columns.map((c) => csvCell(c[0])).join(','));
+    for (const r of rows) lines.push(columns.map((c) => csvCell(c[1](r))).join(','));
+    return lines.join('\n');
+  }
+
+  // Human-readable description of the modeling options for an export header.
+  function optionsHeader(options) {
+    const o = options || {};
+    const tax = o.tax || {};
+    const payout = o.payout || {};
+    const lines = [
+      `Ignore prizes under $500: ${o.ignoreUnder500 ? 'yes' : 'no'}`,
+      `Apply tax: ${o.applyTax
+        ? `yes (filing ${tax.filingStatus || 'single'}, other income $${tax.otherIncome || 0}, state ${tax.state === 'flat' ? `flat ${tax.stateRate || 0}%` : tax.state || 'CA'})`
+        : 'no'}`,
+    ];
+    if (o.estimator) lines.push(`Estimator: ${o.estimator}`);
+    if (o.ticketValuation) lines.push(`Free-ticket valuation: ${o.ticketValuation}`);
+    if (o.claimLag && o.claimLag.enabled) {
+      const bands = (o.claimLag.bands || [])
+        .map((b) => `$${b.min}+ ${b.meanDays}d/${+(b.unclaimed * 100).toFixed(2)}% never`)
+        .join(', ');
+      lines.push(`Claim lag: game on sale ${o.claimLag.gameAgeDays} days; ${bands}`);
+    }
+    if (payout.mode) {
+      lines.push(payout.mode === 'annuity'
+        ? `Payout: annuity, ${payout.discountRate}% discount rate`
+        : `Payout: lump sum, cash option ${Math.round(payout.cashOptionRatio * 100)}%`);
+    }
+    if (payout.annuityThreshold > 0) {
+      lines.push(`Prizes of $${payout.annuityThreshold} or more paid as annuities`);
+    }
+    return lines;
+  }
+
+  return {
+    FIELDS,
+    REQUIRED,
+    detectDelimiter,
+    parseDelimited,
+    guessMapping,
+    missingFields,
+    rowsToGames,
+    csvCell,
+    toCsv,
+    optionsHeader,
+  };
+});
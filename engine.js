@@ -0,0 +1,712 @@
+// === engine.js — Shared EV Engine (browser + Node) ===
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./tax'), require('./prizes'), require('./estimators'), require('./claimlag'));
+  } else {
+    root.ScratcherEngine = factory(root.ScratcherTax, root.ScratcherPrizes, root.ScratcherEstimators, root.ScratcherClaimLag);
+  }
+})(typeof self !== 'undefined' ? self : this, function (taxModel, prizes, estimators, claimLag) {
+  'use strict';
+
+  // --- Parsing helpers ---
+
+  function parseCurrency(str) {
+    if (typeof str === 'number') return str;
+    if (!str) return NaN;
+    const cleaned = String(str).replace(/[$,\s]/g, '');
+    return parseFloat(cleaned);
+  }
+
+  function parseOdds(str) {
+    if (typeof str === 'number') return str;
+    if (!str) return NaN;
+    const s = String(str).trim();
+    // Match "1 in N" or just "N"
+    const m = s.match(/1\s+in\s+([\d,.]+)/i);
+    if (m) return parseCurrency(m[1]);
+    return parseCurrency(s);
+  }
+
+  function parseRemainingOfTotal(str) {
+    // "X of Y" pattern
+    const m = String(str).trim().match(/([\d,]+)\s+of\s+([\d,]+)/i);
+    if (m) {
+      return {
+        remaining: parseInt(m[1].replace(/,/g, ''), 10),
+        total: parseInt(m[2].replace(/,/g, ''), 10),
+      };
+    }
+    return null;
+  }
+
+  // Nominal dollar value of a prize label, including periodic prizes
+  function parsePrizeValue(prizeLabel) {
+    return prizes.parsePrizeLabel(prizeLabel).amount;
+  }
+
+  function isTicketTier(prizeLabel) {
+    if (typeof prizeLabel !== 'string') return false;
+    const s = prizeLabel.trim().toLowerCase();
+    return s === 'ticket' || s === 'free ticket' || s.includes('free ticket');
+  }
+
+  // --- Minimal DOM parser for headless use ---
+  // Supports only what parseCalotteryHtml needs: tag-name selectors,
+  // querySelector(All) and textContent. Pass a real DOMParser when available.
+
+  const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+  const RAW_TEXT_TAGS = new Set(['script', 'style']);
+
+  function decodeEntities(str) {
+    return str
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  function LiteNode(tagName, parent) {
+    this.tagName = tagName;
+    this.parentNode = parent;
+    this.childNodes = [];
+  }
+
+  Object.defineProperty(LiteNode.prototype, 'textContent', {
+    get() {
+      return this.childNodes
+        .map((c) => (typeof c === 'string' ? c : c.textContent))
+        .join('');
+    },
+  });
+
+  LiteNode.prototype.querySelectorAll = function (selector) {
+    const tags = selector.split(',').map((s) => s.trim().toLowerCase());
+    const out = [];
+    (function walk(node) {
+      for (const c of node.childNodes) {
+        if (typeof c === 'string') continue;
+        if (tags.includes(c.tagName)) out.push(c);
+        walk(c);
+      }
+    })(this);
+    return out;
+  };
+
+  LiteNode.prototype.querySelector = function (selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  };
+
+  function LiteDOMParser() {}
+
+  LiteDOMParser.prototype.parseFromString = function (html) {
+    const doc = new LiteNode('#document', null);
+    const tokenRe = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<\/?([a-zA-Z][\w-]*)([^>]*)>/gi;
+    let current = doc;
+    let last = 0;
+    let m;
+    while ((m = tokenRe.exec(html)) !== null) {
+      if (m.index > last) current.childNodes.push(decodeEntities(html.slice(last, m.index)));
+      last = tokenRe.lastIndex;
+      if (!m[1]) continue;
+      const tag = m[1].toLowerCase();
+      if (m[0][1] === '/') {
+        // Close the nearest matching open element
+        let n = current;
+        while (n && n.tagName !== tag) n = n.parentNode;
+        if (n && n.parentNode) current = n.parentNode;
+        continue;
+      }
+      const el = new LiteNode(tag, current);
+      current.childNodes.push(el);
+      if (RAW_TEXT_TAGS.has(tag)) {
+        const end = html.toLowerCase().indexOf('</' + tag, last);
+        const stop = end === -1 ? html.length : end;
+        el.childNodes.push(html.slice(last, stop));
+        tokenRe.lastIndex = last = stop;
+        continue;
+      }
+      if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(m[2])) current = el;
+    }
+    if (last < html.length) current.childNodes.push(decodeEntities(html.slice(last)));
+    doc.body = doc.querySelector('body') || doc;
+    return doc;
+  };
+
+  function defaultDomParser() {
+    return typeof DOMParser !== 'undefined' ? new DOMParser() : new LiteDOMParser();
+  }
+
+  // --- HTML parsing for CA Lottery pages ---
+
+  function parseCalotteryHtml(html, domParser) {
+    const parser = domParser || defaultDomParser();
+    const doc = parser.parseFromString(html, 'text/html');
+
+    const game = {
+      name: '',
+      number: '',
+      ticketPrice: 0,
+      claimedOdds: '',
+      claimedCashOdds: '',
+      tiers: [],
+    };
+
+    // Title — e.g. "$pring Green (1710)"
+    const titleEl = doc.querySelector('h1') || doc.querySelector('title');
+    if (titleEl) {
+      const t = titleEl.textContent.trim();
+      game.name = t;
+      const numMatch = t.match(/\((\d+)\)/);
+      if (numMatch) {
+        game.number = numMatch[1];
+        game.name = t.replace(/\s*\(\d+\)/, '').trim();
+      }
+    }
+
+    // Try to extract ticket price from URL path or page content
+    const priceMatch = html.match(/\$(\d+)\s*(?:scratchers|scratcher|ticket)/i) ||
+      html.match(/Price[:\s]*\$(\d+)/i);
+    if (priceMatch) {
+      game.ticketPrice = parseInt(priceMatch[1], 10);
+    }
+
+    // Overall and cash odds from page text
+    const oddsPatterns = html.match(/(?:Overall\s+)?[Oo]dds[:\s]*1\s+in\s+([\d,.]+)/g);
+    if (oddsPatterns) {
+      game.claimedOdds = oddsPatterns[0];
+      if (oddsPatterns.length > 1) {
+        game.claimedCashOdds = oddsPatterns[1];
+      }
+    }
+
+    // Prize table: look for table rows containing prize data
+    // The CA Lottery page has tables with: Prize | Odds 1 in | Prizes Remaining (X of Y)
+    const tables = doc.querySelectorAll('table');
+    for (const table of tables) {
+      const rows = table.querySelectorAll('tr');
+      for (const row of rows) {
+        const cells = row.querySelectorAll('td');
+        if (cells.length >= 3) {
+          const prizeText = cells[0].textContent.trim();
+          const oddsText = cells[1].textContent.trim();
+          const remainingText = cells[2].textContent.trim();
+
+          const parsedRemaining = parseRemainingOfTotal(remainingText);
+          const oddsVal = parseOdds(oddsText);
+          const prizeVal = parsePrizeValue(prizeText);
+
+          if (parsedRemaining && !isNaN(oddsVal)) {
+            game.tiers.push({
+              prize: prizeText,
+              value: isTicketTier(prizeText) ? NaN : prizeVal, // NaN sentinel for ticket tier
+              isTicket: isTicketTier(prizeText),
+              odds: oddsVal,
+              remaining: parsedRemaining.remaining,
+              total: parsedRemaining.total,
+            });
+          }
+        }
+      }
+    }
+
+    // If no table found, try parsing from raw text patterns
+    if (game.tiers.length === 0) {
+      const textContent = doc.body ? doc.body.textContent : html;
+      // Look for repeated patterns like "$X,XXX | 1 in Y | Z of W" or similar
+      const tierRegex = /(\$[\d,]+|Ticket)\s*[|\t]+\s*(?:1\s+in\s+)?([\d,]+(?:\.\d+)?)\s*[|\t]+\s*([\d,]+)\s+of\s+([\d,]+)/gi;
+      let match;
+      while ((match = tierRegex.exec(textContent)) !== null) {
+        const prizeText = match[1];
+        const oddsVal = parseCurrency(match[2]);
+        const remaining = parseInt(match[3].replace(/,/g, ''), 10);
+        const total = parseInt(match[4].replace(/,/g, ''), 10);
+        game.tiers.push({
+          prize: prizeText,
+          value: isTicketTier(prizeText) ? NaN : parsePrizeValue(prizeText),
+          isTicket: isTicketTier(prizeText),
+          odds: oddsVal,
+          remaining,
+          total,
+        });
+      }
+    }
+
+    return game;
+  }
+
+  // Extract ticket price from URL path: /scratchers/$20/... -> 20
+  function priceFromUrl(url) {
+    const m = String(url).match(/\/scratchers\/\$(\d+)\//i);
+    return m ? parseInt(m[1], 10) : 0;
+  }
+
+  // Calculator-shaped game ({ ticketPrice, tiers: [{ prize, ... }] }) to the
+  // common JSON shape the overview and saved data use.
+  function toOverviewGame(game) {
+    if (game.price !== undefined && game.ticketPrice === undefined) return game;
+    const out = {
+      name: game.name || '',
+      number: game.number || '',
+      price: game.ticketPrice,
+      claimedOdds: game.claimedOdds || '',
+      claimedCashOdds: game.claimedCashOdds || '',
+      tiers: game.tiers.map((t) => ({
+        label: t.prize,
+        value: t.isTicket ? 'Ticket' : t.value,
+        isTicket: !!t.isTicket,
+        odds: t.odds,
+        remaining: t.remaining,
+        total: t.total,
+      })),
+    };
+    if (game.url) out.url = game.url; // source page, for validation
+    return out;
+  }
+
+  // --- Value adjustments ---
+
+  // `prizeInfo` (from parsePrizeLabel) marks periodic prizes; large lump
+  // prizes are treated as annuities by value alone.
+  function adjustValue(value, isTicket, options, prizeInfo) {
+    let a = value;
+    if (options.ignoreUnder500 && !isTicket && a > 0 && a < 500) {
+      a = 0;
+    }
+    if (!isTicket && a > 0) {
+      const afterTax = options.applyTax ? (x) => taxModel.afterTax(x, options.tax) : null;
+      a = prizes.valuePrize(a, prizeInfo, options.payout, afterTax);
+    }
+    return a;
+  }
+
+  // Withholding vs final liability for one claim of a prize, or null when
+  // untaxed. `basis` says whether that claim is the whole prize, its cash
+  // option or one year of annuity payments.
+  function taxBreakdown(value, isTicket, options, prizeInfo) {
+    if (!options.applyTax || isTicket || !(value > 0)) return null;
+    if (options.ignoreUnder500 && value < 500) return null;
+    const taxable = prizes.taxableAmount(value, prizeInfo, options.payout);
+    return Object.assign(taxModel.prizeTax(taxable.amount, options.tax), { basis: taxable.basis });
+  }
+
+  // Face value of a tier: periodic prizes depend on the chosen payout term.
+  function faceValue(value, prizeInfo, options) {
+    return prizeInfo && prizeInfo.periodic ? prizes.nominalValue(prizeInfo, options.payout) : value;
+  }
+
+  // A free ticket is another draw from the same game, so under the recursive
+  // rule its value V solves V = cashEV + pTicket * V. The flat rule values it
+  // at the ticket price.
+  function solveTicketValue(cashEV, pTicket, price, options) {
+    if (options.ticketValuation === 'price' || !(pTicket < 1)) {
+      return { method: 'price', value: price, cashEV, pTicket };
+    }
+    return { method: 'recursive', value: cashEV / (1 - pTicket), cashEV, pTicket };
+  }
+
+  // Estimate M with the chosen estimator, unless the caller pins it with
+  // `options.fixedM` (used for what-if and resampling runs).
+  function resolveM(tiers, options, defaultId) {
+    if (options.fixedM > 0) {
+      return { id: 'fixed', label: 'Fixed M', M: options.fixedM, fallback: false };
+    }
+    return estimators.estimateM(options.estimator || defaultId, tiers);
+  }
+
+  // --- Single-game EV engine ---
+
+  function computeEV(game, options) {
+    const ticketPrice = game.ticketPrice;
+    const tiers = game.tiers;
+
+    if (!ticketPrice || tiers.length === 0) {
+      return { error: 'Need ticket price and at least one prize tier.' };
+    }
+
+    // Resolve ticket-tier value
+    for (const t of tiers) {
+      if (t.isTicket) t.value = ticketPrice;
+    }
+
+    // --- Estimate total remaining tickets (M) ---
+    // Default: ticket-tier anchor, falling back to the median of tiers
+    const estimate = resolveM(tiers, options, 'ticket-anchor');
+    if (!estimate) {
+      return { error: 'Unable to estimate total remaining tickets.' };
+    }
+    const M = estimate.M;
+    const method = estimate.label;
+
+    // Price every cash tier under the payout and tax options
+    const priced = tiers.map((t) => {
+      if (t.isTicket) return { face: t.value, adjusted: NaN, info: null };
+      const info = prizes.parsePrizeLabel(t.prize);
+      const face = faceValue(t.value, info, options);
+      return { face, adjusted: adjustValue(face, false, options, info), info };
+    });
+
+    // Value the ticket tier
+    let cashEV = 0;
+    let pTicket = 0;
+    tiers.forEach((t, i) => {
+      const p = t.remaining / M;
+      if (t.isTicket) pTicket += p;
+      else cashEV += p * priced[i].adjusted;
+    });
+    const ticketValuation = solveTicketValue(cashEV, pTicket, ticketPrice, options);
+
+    // Compute per-tier data
+    const tierResults = [];
+    let evGross = 0;
+
+    tiers.forEach((t, i) => {
+      const { face, info } = priced[i];
+      const p = t.remaining / M;
+      const adjusted = t.isTicket ? ticketValuation.value : priced[i].adjusted;
+      const contribution = p * adjusted;
+      evGross += contribution;
+
+      tierResults.push({
+        prize: t.prize,
+        value: face,
+        oddsText: t.odds ? `1 in ${formatNum(t.odds)}` : '—',
+        remaining: t.remaining,
+        total: t.total,
+        parsedN: t.odds,
+        tierTicketEst: t.remaining * (t.odds || 0),
+        probability: p,
+        adjustedValue: adjusted,
+        evContribution: contribution,
+        isTicket: t.isTicket,
+        isAnnuity: !t.isTicket && !!prizes.annuityTerms(face, info, options.payout),
+        tax: taxBreakdown(face, t.isTicket, options, info),
+      });
+    });
+
+    const evNet = evGross - ticketPrice;
+
+    // Claim-lag adjusted EV: the same game with each tier's won-but-unclaimed
+    // prizes taken out, at the same M (those tickets are already sold)
+    let lag = null;
+    if (claimLag.isEnabled(options.claimLag)) {
+      const adjusted = tiers.map((t, i) => claimLag.adjustTier(priced[i].face, t.remaining, t.total || t.remaining, options.claimLag));
+      const run = computeEV(
+        Object.assign({}, game, { tiers: tiers.map((t, i) => Object.assign({}, t, { remaining: adjusted[i].remaining })) }),
+        Object.assign({}, options, { claimLag: null, fixedM: M })
+      );
+      lag = { evGross: run.evGross, evNet: run.evNet, tiers: adjusted };
+    }
+
+    return {
+      ticketPrice,
+      M,
+      method,
+      estimator: estimate.id,
+      evGross,
+      evNet,
+      ticketValuation,
+      oddsCheck: checkOdds(tiers, M, game.claimedOdds, game.claimedCashOdds, 0, driftEstimate(tiers, estimate)),
+      claimLag: lag,
+      tiers: tierResults,
+    };
+  }
+
+  // --- Multi-game EV engine (Section 5 of spec) ---
+
+  function computeOverview(game, options) {
+    const price = game.price;
+    const tiers = game.tiers;
+
+    if (!price || !tiers || tiers.length === 0) {
+      return null;
+    }
+
+    // Resolve values
+    const resolved = tiers.map((t) => {
+      const label = t.label || t.prize || '';
+      const isTkt = isTicketTier(label) || t.isTicket;
+      const info = isTkt ? null : prizes.parsePrizeLabel(typeof t.value === 'string' ? t.value : label || t.value);
+      const rawValue = isTkt ? price : faceValue(typeof t.value === 'number' ? t.value : info.amount, info, options);
+      const odds = typeof t.odds === 'number' ? t.odds : parseOdds(t.odds);
+      const remaining = t.remaining || 0;
+      const total = t.total || t.initial || remaining;
+      return { label, rawValue, odds, remaining, total, isTicket: isTkt, info };
+    });
+
+    // Filter tiers with valid data
+    const valid = resolved.filter((t) => t.total > 0 && !isNaN(t.odds) && t.odds > 0);
+    if (valid.length === 0) return null;
+
+    // 5.1 Ticket Count and Remaining Pool
+    // Q_i = odds_i * total_i
+    const Qs = valid.map((t) => t.odds * t.total);
+    const M0 = Qs.reduce((a, b) => a + b, 0) / Qs.length; // mean
+
+    const Tsum = valid.reduce((s, t) => s + t.total, 0);
+    const Rsum = valid.reduce((s, t) => s + t.remaining, 0);
+
+    if (Tsum === 0 || Rsum === 0 || M0 === 0) return null;
+
+    // Default: mean launch pool scaled by the share of prizes left
+    const estimate = resolveM(valid, options, 'scaled-mean');
+    if (!estimate) return null;
+    const Mhat = estimate.M;
+    const calcOddsVal = Mhat / Rsum;
+
+    // 5.2 Claimed vs Calculated EV
+    // Cash prizes are summed directly; ticket tiers are valued afterwards so
+    // the recursive rule can use each state's own cash EV.
+    let claimedCash = 0;
+    let claimedTicketP = 0;
+    let calcCash = 0;
+    let calcTicketP = 0;
+    for (const t of valid) {
+      if (t.isTicket) {
+        claimedTicketP += t.total / M0;
+        calcTicketP += t.remaining / Mhat;
+      } else {
+        const adj = adjustValue(t.rawValue, false, options, t.info);
+        claimedCash += (adj * t.total) / M0;
+        calcCash += (adj * t.remaining) / Mhat;
+      }
+    }
+
+    // Claimed (launch-state) gross EV
+    const claimedTicket = solveTicketValue(claimedCash, claimedTicketP, price, options);
+    const claimedGross = claimedCash + claimedTicketP * claimedTicket.value;
+    const claimedNet = claimedGross - price;
+
+    // Calculated (current-state) gross EV
+    const calcTicket = solveTicketValue(calcCash, calcTicketP, price, options);
+    const calcGross = calcCash + calcTicketP * calcTicket.value;
+    const calcNet = calcGross - price;
+
+    const tierResults = valid.map((t) => ({
+      label: t.label,
+      value: t.rawValue,
+      odds: t.odds,
+      remaining: t.remaining,
+      total: t.total,
+      isTicket: t.isTicket,
+      probability: t.remaining / Mhat,
+      adjustedValue: t.isTicket ? calcTicket.value : adjustValue(t.rawValue, false, options, t.info),
+    }));
+
+    // EV delta %
+    const deltaPercent = claimedNet !== 0
+      ? ((calcNet - claimedNet) / Math.abs(claimedNet)) * 100
+      : 0;
+
+    // Table metrics: the top cash tier's count, the share of prizes already
+    // claimed, and the odds against the claimed odds
+    const top = valid
+      .filter((t) => !t.isTicket)
+      .reduce((best, t) => (!best || t.rawValue > best.rawValue ? t : best), null);
+    const oddsCheck = checkOdds(valid, Mhat, game.claimedOdds, game.claimedCashOdds, 0, driftEstimate(valid, estimate));
+
+    // Current EV again with unclaimed winners taken out (see computeEV)
+    let claimLagEV = null;
+    if (claimLag.isEnabled(options.claimLag)) {
+      const lagTiers = tiers.map((t, i) => Object.assign({}, t, {
+        remaining: claimLag.adjustTier(resolved[i].rawValue, resolved[i].remaining, resolved[i].total, options.claimLag).remaining,
+        total: resolved[i].total,
+      }));
+      const run = computeOverview(Object.assign({}, game, { tiers: lagTiers }), Object.assign({}, options, { claimLag: null, fixedM: Mhat }));
+      claimLagEV = run ? run.calcEV : null;
+    }
+
+    return {
+      name: game.name,
+      number: game.number || '',
+      price,
+      claimedOddsText: game.claimedOdds || '—',
+      claimedOddsVal: parseOdds(game.claimedOdds),
+      calcOddsVal,
+      claimedEV: claimedNet,
+      calcEV: calcNet,
+      deltaPercent,
+      M: Mhat,
+      estimator: estimate.id,
+      ticketValue: calcTicket.value,
+      topRemaining: top ? top.remaining : 0,
+      topTotal: top ? top.total : 0,
+      soldShare: 1 - Rsum / Tsum,
+      cashOddsVal: oddsCheck.cash.now,
+      oddsDrift: oddsCheck.overall.drift * 100,
+      oddsDriftM: oddsCheck.drift.M,
+      oddsCheck,
+      evPerDollar: calcNet / price,
+      claimLagEV,
+      tiers: tierResults,
+    };
+  }
+
+  // --- Estimator comparison ---
+
+  function spreadOf(values) {
+    if (values.length < 2) return 0;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return max - min;
+  }
+
+  // Re-run an engine under every registered estimator. Estimators that cannot
+  // handle the data (and would fall back) are left out.
+  function compareWith(run, evKey, game, options) {
+    const rows = [];
+    for (const e of estimators.listEstimators()) {
+      const r = run(game, Object.assign({}, options, { estimator: e.id }));
+      if (!r || r.error || r.estimator !== e.id) continue;
+      rows.push({ id: e.id, label: e.label, M: r.M, ev: r[evKey] });
+    }
+    const Ms = rows.map((r) => r.M);
+    const meanM = Ms.reduce((a, b) => a + b, 0) / (Ms.length || 1);
+    return {
+      rows,
+      mSpread: spreadOf(Ms),
+      mSpreadPct: meanM > 0 ? (spreadOf(Ms) / meanM) * 100 : 0,
+      evSpread: spreadOf(rows.map((r) => r.ev)),
+    };
+  }
+
+  function compareEstimatorsEV(game, options) {
+    return compareWith(computeEV, 'evNet', game, options);
+  }
+
+  function compareEstimatorsOverview(game, options) {
+    return compareWith(computeOverview, 'calcEV', game, options);
+  }
+
+  // --- Hypergeometric hit odds ---
+
+  // P(at least one of K prizes in n tickets drawn without replacement from M)
+  // = 1 - C(M-K, n) / C(M, n), accumulated in log space.
+  function probAtLeastOne(M, K, n) {
+    const pool = Math.round(M);
+    const draws = Math.min(Math.floor(n), pool);
+    if (K <= 0 || draws <= 0 || pool <= 0) return 0;
+    if (draws > pool - K) return 1;
+    let logMiss = 0;
+    for (let i = 0; i < draws; i++) {
+      logMiss += Math.log1p(-K / (pool - i));
+    }
+    return -Math.expm1(logMiss);
+  }
+
+  // Expected position of the first of K prizes among M shuffled tickets.
+  function expectedTicketsToFirst(M, K) {
+    if (K <= 0) return Infinity;
+    return (Math.round(M) + 1) / (K + 1);
+  }
+
+  function computeHitOdds(result, n) {
+    const tiers = result.tiers.map((t) => probAtLeastOne(result.M, t.remaining, n));
+    const cash = result.tiers.filter((t) => !t.isTicket && t.value > 0);
+    const topValue = cash.reduce((m, t) => Math.max(m, t.value), 0);
+    const top = cash.filter((t) => t.value === topValue);
+    const topRemaining = top.reduce((s, t) => s + t.remaining, 0);
+    return {
+      n,
+      tiers,
+      topPrize: top.length ? top[0].prize : '',
+      topRemaining,
+      ticketsToFirstTop: expectedTicketsToFirst(result.M, topRemaining),
+    };
+  }
+
+  // --- Claimed odds check ---
+
+  // The estimate drift is measured with: the game's own, except that the
+  // scaled-mean estimate is the launch pool times the share of prizes left,
+  // so its current overall odds always equal the launch odds. The median of
+  // tiers stands in for it there so drift can show.
+  function driftEstimate(tiers, estimate) {
+    if (estimate.id !== 'scaled-mean') return { id: estimate.id, label: estimate.label, M: estimate.M };
+    const alt = estimators.estimateM('median', tiers);
+    return alt
+      ? { id: alt.id, label: alt.label, M: alt.M }
+      : { id: estimate.id, label: estimate.label, M: estimate.M };
+  }
+
+  // Relative gap between recomputed launch odds and the claimed odds that
+  // counts as a mismatch; claimed odds are rounded to two decimals.
+  const ODDS_CHECK_TOLERANCE = 0.05;
+
+  // Overall and cash-only odds recomputed at launch (print run over tier
+  // totals, the print run being the mean of odds × total) and now (M over
+  // tiers remaining), each against the claimed "1 in N". `drift` is the
+  // current odds at `drift.M` (default M) relative to the launch odds;
+  // positive means winners have grown scarcer since launch.
+  // `tiers`: [{ isTicket, odds, remaining, total }]; `drift`: { id, label, M }.
+  function checkOdds(tiers, M, claimedOdds, claimedCashOdds, tolerance, drift) {
+    const tol = tolerance > 0 ? tolerance : ODDS_CHECK_TOLERANCE;
+    const driftBy = drift && drift.M > 0 ? drift : { id: '', label: '', M };
+    const valid = tiers.filter((t) => t.odds > 0 && t.total > 0);
+    const printRun = valid.length > 0
+      ? valid.reduce((s, t) => s + t.odds * t.total, 0) / valid.length
+      : NaN;
+
+    function line(list, claimedText) {
+      const totalSum = list.reduce((s, t) => s + t.total, 0);
+      const remainingSum = list.reduce((s, t) => s + t.remaining, 0);
+      const claimed = parseOdds(claimedText);
+      const launch = totalSum > 0 ? printRun / totalSum : NaN;
+      const now = remainingSum > 0 ? M / remainingSum : NaN;
+      const launchDiff = claimed > 0 ? launch / claimed - 1 : NaN;
+      return {
+        claimed: claimed > 0 ? claimed : NaN,
+        launch,
+        now,
+        launchDiff,
+        drift: remainingSum > 0 ? driftBy.M / remainingSum / launch - 1 : NaN,
+        mismatch: Math.abs(launchDiff) > tol,
+      };
+    }
+
+    return {
+      tolerance: tol,
+      M,
+      drift: driftBy,
+      overall: line(valid, claimedOdds),
+      cash: line(valid.filter((t) => !t.isTicket), claimedCashOdds),
+    };
+  }
+
+  // --- Formatting helpers ---
+
+  function formatNum(n, decimals) {
+    if (typeof decimals === 'number') return n.toFixed(decimals);
+    if (Number.isInteger(n)) return n.toLocaleString();
+    return n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+
+  return {
+    parseCurrency,
+    parseOdds,
+    parseRemainingOfTotal,
+    isTicketTier,
+    parsePrizeValue,
+    LiteDOMParser,
+    parseCalotteryHtml,
+    priceFromUrl,
+    toOverviewGame,
+    adjustValue,
+    taxBreakdown,
+    solveTicketValue,
+    computeEV,
+    computeOverview,
+    compareEstimatorsEV,
+    compareEstimatorsOverview,
+    probAtLeastOne,
+    expectedTicketsToFirst,
+    computeHitOdds,
+    ODDS_CHECK_TOLERANCE,
+    checkOdds,
+    formatNum,
+  };
+});
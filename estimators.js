@@ -0,0 +1,124 @@
+// === estimators.js — Remaining-Ticket (M) Estimators ===
+//
+// Each estimator takes normalized tiers `{ odds, remaining, total, isTicket }`
+// and returns its estimate of the tickets left in the game, or null when it
+// cannot produce one from the data given.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScratcherEstimators = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const FALLBACK_ID = 'median';
+
+  const registry = [];
+
+  function registerEstimator(id, label, fn) {
+    const existing = registry.findIndex((e) => e.id === id);
+    const entry = { id, label, fn };
+    if (existing >= 0) registry[existing] = entry;
+    else registry.push(entry);
+  }
+
+  function listEstimators() {
+    return registry.map(({ id, label }) => ({ id, label }));
+  }
+
+  function getEstimator(id) {
+    return registry.find((e) => e.id === id) || null;
+  }
+
+  function hasOdds(t) {
+    return !isNaN(t.odds) && t.odds > 0;
+  }
+
+  function positive(M) {
+    return M > 0 && isFinite(M) ? M : null;
+  }
+
+  // --- Built-in estimators ---
+
+  // Ticket-tier anchor: the free-ticket tier is the most plentiful, so its
+  // launch pool (total × odds) scaled by its sell-through is the least noisy.
+  registerEstimator('ticket-anchor', 'Ticket-tier anchor', (tiers) => {
+    const t = tiers.find((x) => x.isTicket && x.total > 0 && x.remaining > 0 && hasOdds(x));
+    return t ? positive(t.total * t.odds * (t.remaining / t.total)) : null;
+  });
+
+  // Median of the per-tier implied counts remaining × odds.
+  registerEstimator('median', 'Median of tiers', (tiers) => {
+    const estimates = tiers
+      .filter((t) => t.remaining > 0 && hasOdds(t))
+      .map((t) => t.remaining * t.odds)
+      .sort((a, b) => a - b);
+    if (estimates.length === 0) return null;
+    const mid = Math.floor(estimates.length / 2);
+    return positive(estimates.length % 2 === 0
+      ? (estimates[mid - 1] + estimates[mid]) / 2
+      : estimates[mid]);
+  });
+
+  // Mean launch pool (odds × total) scaled by the overall share of prizes left.
+  registerEstimator('scaled-mean', 'Scaled mean', (tiers) => {
+    const valid = tiers.filter((t) => t.total > 0 && hasOdds(t));
+    if (valid.length === 0) return null;
+    const M0 = valid.reduce((s, t) => s + t.odds * t.total, 0) / valid.length;
+    const Tsum = valid.reduce((s, t) => s + t.total, 0);
+    const Rsum = valid.reduce((s, t) => s + t.remaining, 0);
+    return positive(M0 * (Rsum / Tsum));
+  });
+
+  // Weighted least squares fit of remaining_i ≈ M / odds_i, weighting each
+  // tier by the inverse of its observed (Poisson) variance.
+  registerEstimator('wls', 'Weighted least squares', (tiers) => {
+    let num = 0;
+    let den = 0;
+    for (const t of tiers) {
+      if (!hasOdds(t)) continue;
+      const x = 1 / t.odds;
+      const w = 1 / Math.max(t.remaining, 1);
+      num += w * x * t.remaining;
+      den += w * x * x;
+    }
+    return den > 0 ? positive(num / den) : null;
+  });
+
+  // Maximum likelihood with remaining_i ~ Poisson(M / odds_i) independently,
+  // which gives M = Σ remaining / Σ (1 / odds).
+  registerEstimator('mle', 'Maximum likelihood', (tiers) => {
+    let r = 0;
+    let x = 0;
+    for (const t of tiers) {
+      if (!hasOdds(t)) continue;
+      r += t.remaining;
+      x += 1 / t.odds;
+    }
+    return x > 0 ? positive(r / x) : null;
+  });
+
+  // --- Estimation ---
+
+  // Run the chosen estimator, falling back to the median of tiers when it has
+  // nothing to work with (e.g. the ticket anchor on a game with no ticket tier).
+  function estimateM(id, tiers) {
+    const chosen = getEstimator(id) || getEstimator(FALLBACK_ID);
+    const M = chosen.fn(tiers);
+    if (M) return { id: chosen.id, label: chosen.label, M, fallback: false };
+    if (chosen.id !== FALLBACK_ID) {
+      const fb = getEstimator(FALLBACK_ID);
+      const fbM = fb.fn(tiers);
+      if (fbM) return { id: fb.id, label: 'Median fallback', M: fbM, fallback: true };
+    }
+    return null;
+  }
+
+  return {
+    registerEstimator,
+    listEstimators,
+    estimateM,
+  };
+});
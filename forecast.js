@@ -0,0 +1,150 @@
+// === forecast.js — Depletion Forecasting ===
+//
+// Fits a sales rate to a game's snapshot history (see snapshots.js) and
+// projects when the game sells out, when each tier runs out, and what the
+// game's EV looks like at later points in its run.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'));
+  } else {
+    root.ScratcherForecast = factory(root.ScratcherEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+  'use strict';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Points on the EV path, as shares of the currently remaining tickets sold
+  const EV_PATH_SHARES = [0, 0.25, 0.5, 0.75, 0.9];
+
+  // --- Fitting ---
+
+  // Least-squares slope of y over x; null when x has no spread.
+  function slope(points) {
+    const n = points.length;
+    if (n < 2) return null;
+    const mx = points.reduce((s, p) => s + p.x, 0) / n;
+    const my = points.reduce((s, p) => s + p.y, 0) / n;
+    let num = 0;
+    let den = 0;
+    for (const p of points) {
+      num += (p.x - mx) * (p.y - my);
+      den += (p.x - mx) * (p.x - mx);
+    }
+    return den > 0 ? num / den : null;
+  }
+
+  function tierKey(t) {
+    return String(t.label || t.value);
+  }
+
+  function addDays(ms, days) {
+    return isFinite(days) ? new Date(ms + days * DAY_MS).toISOString() : null;
+  }
+
+  // --- Forecast ---
+
+  // `history` is a list of snapshots ({ takenAt, price, tiers }) of one game.
+  // M is re-estimated for every snapshot with `options`, so the sales rate
+  // follows the chosen estimator. Returns { error } when the history cannot
+  // support a forecast.
+  function forecastGame(history, options) {
+    const opts = options || {};
+    const points = history
+      .map((s) => ({ snap: s, t: Date.parse(s.takenAt), overview: engine.computeOverview(s, opts) }))
+      .filter((p) => isFinite(p.t) && p.overview)
+      .sort((a, b) => a.t - b.t);
+
+    if (points.length < 2) {
+      return { error: 'At least two snapshots taken at different times are needed.' };
+    }
+    const first = points[0];
+    const last = points[points.length - 1];
+    const spanDays = (last.t - first.t) / DAY_MS;
+    if (!(spanDays > 0)) {
+      return { error: 'At least two snapshots taken at different times are needed.' };
+    }
+
+    const mSlope = slope(points.map((p) => ({ x: (p.t - first.t) / DAY_MS, y: p.overview.M })));
+    const salesPerDay = mSlope === null ? 0 : -mSlope;
+    if (!(salesPerDay > 0)) {
+      return { error: 'No sales detected between snapshots.' };
+    }
+
+    const M = last.overview.M;
+    const sellOutDays = M / salesPerDay;
+
+    // Per-tier claim rates. A tier with no claims in the window (common for
+    // top prizes) falls back to the rate implied by its share of the tickets.
+    const tiers = last.snap.tiers.map((raw) => {
+      const key = tierKey(raw);
+      const series = [];
+      for (const p of points) {
+        const match = p.snap.tiers.find((t) => tierKey(t) === key);
+        if (match) series.push({ x: (p.t - first.t) / DAY_MS, y: match.remaining || 0 });
+      }
+      const remaining = raw.remaining || 0;
+      const fitted = slope(series);
+      const observed = fitted !== null && fitted < 0;
+      const claimedPerDay = observed ? -fitted : salesPerDay * remaining / M;
+
+      // The last of r prizes among M tickets turns up, on average, after
+      // M·r/(r+1) tickets; an observed rate is extrapolated linearly instead.
+      let runOutDays = 0;
+      if (remaining > 0) {
+        runOutDays = observed
+          ? remaining / claimedPerDay
+          : (M * remaining / (remaining + 1)) / salesPerDay;
+      }
+
+      return {
+        label: raw.label || String(raw.value),
+        value: typeof raw.value === 'number' ? raw.value : engine.parsePrizeValue(String(raw.value)),
+        isTicket: !!raw.isTicket,
+        remaining,
+        claimedPerDay,
+        source: observed ? 'observed' : 'proportional',
+        runOutDays,
+        runOutDate: addDays(last.t, runOutDays),
+      };
+    });
+
+    // EV at later points, with each tier drawn down at its own rate
+    const evPath = EV_PATH_SHARES.map((share) => {
+      const days = share * sellOutDays;
+      const projected = Object.assign({}, last.snap, {
+        tiers: last.snap.tiers.map((raw, i) => Object.assign({}, raw, {
+          remaining: Math.max(0, tiers[i].remaining - tiers[i].claimedPerDay * days),
+        })),
+      });
+      const Mp = M * (1 - share);
+      const r = engine.computeOverview(projected, Object.assign({}, opts, { fixedM: Mp }));
+      return {
+        soldShare: share,
+        days,
+        date: addDays(last.t, days),
+        M: Mp,
+        ev: r ? r.calcEV : NaN,
+      };
+    });
+
+    return {
+      from: first.snap.takenAt,
+      to: last.snap.takenAt,
+      snapshots: points.length,
+      spanDays,
+      salesPerDay,
+      M,
+      sellOutDays,
+      sellOutDate: addDays(last.t, sellOutDays),
+      tiers: tiers.sort((a, b) => (b.isTicket ? -1 : b.value) - (a.isTicket ? -1 : a.value)),
+      evPath,
+    };
+  }
+
+  return {
+    EV_PATH_SHARES,
+    forecastGame,
+  };
+});
@@ -0,0 +1,184 @@
+// === history.js — Game History & Trend Charts ===
+
+(function () {
+  'use strict';
+
+  const { computeOverview } = window.ScratcherEngine;
+  const { createSnapshotStore } = window.ScratcherSnapshots;
+  const { lineChart } = window.ScratcherCharts;
+
+  // --- DOM refs ---
+  const gameSelect = document.getElementById('history-game');
+  const exportBtn = document.getElementById('export-history-btn');
+  const importBtn = document.getElementById('import-history-btn');
+  const importFile = document.getElementById('import-history-file');
+  const clearGameBtn = document.getElementById('clear-game-btn');
+  const statusText = document.getElementById('history-status');
+  const resultsSection = document.getElementById('results-section');
+  const historyTitle = document.getElementById('history-title');
+  const tierChart = document.getElementById('tier-chart');
+  const mChart = document.getElementById('m-chart');
+  const evChart = document.getElementById('ev-chart');
+  const snapshotBody = document.getElementById('snapshot-body');
+  const errorSection = document.getElementById('error-section');
+  const errorMessage = document.getElementById('error-message');
+
+  const store = createSnapshotStore(window.indexedDB);
+
+  // --- Helpers ---
+
+  function formatMoney(n) {
+    const sign = n < 0 ? '-' : '';
+    return sign + '$' + Math.abs(n).toFixed(2);
+  }
+
+  function moneyTick(n) {
+    return (n < 0 ? '-$' : '$') + Math.abs(n).toFixed(2);
+  }
+
+  function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  function showError(msg) {
+    errorMessage.textContent = msg;
+    errorSection.style.display = 'block';
+  }
+
+  function tierLabel(t) {
+    if (t.isTicket) return 'Ticket';
+    return t.label || '$' + Number(t.value).toLocaleString();
+  }
+
+  // --- Game list ---
+
+  async function loadGames(selectKey) {
+    const games = await store.games();
+    gameSelect.innerHTML = '<option value="">— Select a game —</option>';
+    for (const g of games) {
+      const opt = document.createElement('option');
+      opt.value = g.key;
+      const num = g.number ? ` (#${g.number})` : '';
+      opt.textContent = `${g.name || g.key}${num} — ${g.count} snapshot${g.count === 1 ? '' : 's'}`;
+      gameSelect.appendChild(opt);
+    }
+    statusText.textContent = games.length === 0
+      ? 'No snapshots yet. Analyze a game on the Calculator or All Scratchers page to start its history.'
+      : `${games.length} game${games.length === 1 ? '' : 's'} saved.`;
+
+    if (selectKey && games.some((g) => g.key === selectKey)) {
+      gameSelect.value = selectKey;
+    }
+    await renderGame(gameSelect.value);
+  }
+
+  // --- Rendering ---
+
+  async function renderGame(key) {
+    clearGameBtn.disabled = !key;
+    if (!key) {
+      resultsSection.style.display = 'none';
+      return;
+    }
+
+    const snaps = await store.forGame(key);
+    const rows = snaps.map((s) => ({ snap: s, t: Date.parse(s.takenAt), overview: computeOverview(s, {}) }));
+    const latest = snaps[snaps.length - 1];
+    historyTitle.textContent = latest.number
+      ? `${latest.name} (#${latest.number})`
+      : latest.name || key;
+
+    // One series per prize tier, matched across snapshots by label
+    const tiers = new Map();
+    for (const { snap, t } of rows) {
+      for (const tier of snap.tiers) {
+        const label = tierLabel(tier);
+        if (!tiers.has(label)) tiers.set(label, { label, points: [], value: tier.isTicket ? -1 : tier.value });
+        tiers.get(label).points.push({ x: t, y: tier.remaining });
+      }
+    }
+    const tierSeries = Array.from(tiers.values()).sort((a, b) => b.value - a.value);
+
+    const withOverview = rows.filter((r) => r.overview);
+    tierChart.innerHTML = lineChart(tierSeries, { yLog: true });
+    mChart.innerHTML = lineChart([{
+      label: 'Est. remaining tickets',
+      points: withOverview.map((r) => ({ x: r.t, y: r.overview.M })),
+    }]);
+    evChart.innerHTML = lineChart([{
+      label: 'Calc EV',
+      points: withOverview.map((r) => ({ x: r.t, y: r.overview.calcEV })),
+    }], { yFormat: moneyTick });
+
+    snapshotBody.innerHTML = rows.slice().reverse().map(({ snap, overview }) => {
+      const prizes = snap.tiers.reduce((s, t) => s + (t.remaining || 0), 0);
+      const evClass = overview && overview.calcEV >= 0 ? 'badge-positive' : 'badge-negative';
+      return `<tr>
+        <td>${escapeHtml(new Date(snap.takenAt).toLocaleString())}</td>
+        <td>${escapeHtml(snap.source || '—')}</td>
+        <td>${prizes.toLocaleString()}</td>
+        <td>${overview ? Math.round(overview.M).toLocaleString() : '—'}</td>
+        <td>${overview ? `<span class="badge ${evClass}">${formatMoney(overview.calcEV)}</span>` : '—'}</td>
+      </tr>`;
+    }).join('');
+
+    resultsSection.style.display = 'block';
+  }
+
+  // --- Handlers ---
+
+  gameSelect.addEventListener('change', () => {
+    errorSection.style.display = 'none';
+    renderGame(gameSelect.value).catch((e) => showError(e.message));
+  });
+
+  exportBtn.addEventListener('click', async () => {
+    errorSection.style.display = 'none';
+    try {
+      const json = await store.exportJson();
+      const blob = new Blob([json], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = `scratcher-history-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (e) {
+      showError(e.message);
+    }
+  });
+
+  importBtn.addEventListener('click', () => importFile.click());
+
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+    errorSection.style.display = 'none';
+    try {
+      const { added, skipped } = await store.importJson(await file.text());
+      await loadGames(gameSelect.value);
+      statusText.textContent = `Imported ${added} snapshot${added === 1 ? '' : 's'}` +
+        (skipped ? `, skipped ${skipped} already present or invalid.` : '.');
+    } catch (e) {
+      showError('Import failed: ' + e.message);
+    }
+  });
+
+  clearGameBtn.addEventListener('click', async () => {
+    const key = gameSelect.value;
+    if (!key || !window.confirm('Delete all saved snapshots for this game?')) return;
+    try {
+      await store.clearGame(key);
+      await loadGames();
+    } catch (e) {
+      showError(e.message);
+    }
+  });
+
+  // --- Init ---
+
+  const params = new URLSearchParams(window.location.search);
+  loadGames(params.get('game')).catch((e) => showError(e.message));
+})();
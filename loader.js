@@ -0,0 +1,196 @@
+// === loader.js — Fetching Game Pages, One or All ===
+//
+// A fetcher is any async function `(url) => html`. The browser passes one
+// that goes through a CORS proxy (by default the bundled proxy.js); the CLI
+// can pass one that reads saved pages from a directory, so the same loading
+// code runs against fixtures.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'), require('./adapters'));
+  } else {
+    root.ScratcherLoader = factory(root.ScratcherEngine, root.ScratcherAdapters);
+  }
+})(typeof self !== 'undefined' ? self : this, function (engine, adapters) {
+  'use strict';
+
+  const INDEX_URL = 'https://www.calottery.com/scratchers';
+  const DEFAULT_PROXY = 'http://localhost:8787/raw?url=';
+  const PROXY_STORAGE_KEY = 'scratcher-proxy-url';
+
+  const DEFAULTS = {
+    concurrency: 4,
+    retries: 2,
+    retryDelay: 1000, // ms, doubled after each failed attempt
+  };
+
+  // Game pages live at /scratchers/$<price>/<slug>; bare /scratchers/$<price>
+  // links are price-filter views of the index itself.
+  const GAME_LINK = /href\s*=\s*["']([^"']*\/scratchers\/\$\d+\/[a-z0-9][a-z0-9-]*)\/?(?:[?#][^"']*)?["']/gi;
+
+  // --- Fetchers ---
+
+  function createProxyFetcher(proxy, fetchImpl) {
+    const prefix = proxy === undefined ? DEFAULT_PROXY : proxy;
+    return async (url) => {
+      const target = prefix ? prefix + encodeURIComponent(url) : url;
+      const resp = await (fetchImpl ? fetchImpl(target) : fetch(target));
+      if (!resp.ok) throw new Error(`Failed to fetch page (HTTP ${resp.status})`);
+      return resp.text();
+    };
+  }
+
+  // The proxy prefix chosen in the UI, shared by all pages through
+  // localStorage. An empty prefix fetches pages directly. `storage` may be a
+  // function returning the store, so a blocked window.localStorage (whose
+  // getter throws) is read inside the try.
+  function openStorage(storage) {
+    return typeof storage === 'function' ? storage() : storage;
+  }
+
+  function savedProxy(storage) {
+    try {
+      const value = openStorage(storage).getItem(PROXY_STORAGE_KEY);
+      return value === null ? DEFAULT_PROXY : value;
+    } catch (e) {
+      return DEFAULT_PROXY;
+    }
+  }
+
+  function saveProxy(storage, value) {
+    try {
+      openStorage(storage).setItem(PROXY_STORAGE_KEY, value);
+    } catch (e) {
+      // Storage can be disabled; the setting then lasts until reload
+    }
+  }
+
+  // File name a saved copy of a page is expected under: the URL's last path
+  // segment plus ".html" ("index.html" for the scratchers index).
+  function pageFileName(url) {
+    const path = String(url).split(/[?#]/)[0].replace(/\/+$/, '');
+    const last = path.slice(path.lastIndexOf('/') + 1);
+    return (!last || last === 'scratchers' ? 'index' : decodeURIComponent(last)) + '.html';
+  }
+
+  // --- Single game ---
+
+  // The page is parsed by the adapter for its URL (see adapters.js).
+  async function fetchGame(url, fetcher) {
+    return adapters.parseGamePage(await fetcher(url), url);
+  }
+
+  // --- Index ---
+
+  // Every distinct game page linked from the scratchers index, in page order.
+  function findGameUrls(html, baseUrl) {
+    const base = baseUrl || INDEX_URL;
+    const seen = new Set();
+    const urls = [];
+    let m;
+    GAME_LINK.lastIndex = 0;
+    while ((m = GAME_LINK.exec(html)) !== null) {
+      const href = m[1].replace(/&amp;/g, '&');
+      let url;
+      try {
+        url = new URL(href, base).href;
+      } catch (e) {
+        continue;
+      }
+      if (!seen.has(url)) {
+        seen.add(url);
+        urls.push(url);
+      }
+    }
+    return urls;
+  }
+
+  function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Fetches and parses every game linked from the index. Fetch failures are
+  // retried with backoff; a page that fetches but has no prize table is not.
+  // `onProgress` receives a status entry each time a game's state changes:
+  // { url, status: 'queued'|'fetching'|'retrying'|'done'|'error', attempts, error, game }.
+  // Resolves to { urls, games (common JSON shape), entries }.
+  async function loadIndex(indexUrl, fetcher, params, onProgress) {
+    const opts = Object.assign({}, DEFAULTS, params || {});
+    const notify = onProgress || (() => {});
+    const wait = opts.sleep || sleep;
+
+    const indexHtml = await fetcher(indexUrl);
+    const urls = findGameUrls(indexHtml, indexUrl);
+    if (urls.length === 0) throw new Error('No game links found on the index page.');
+
+    const entries = urls.map((url) => ({ url, status: 'queued', attempts: 0, error: null, game: null }));
+    entries.forEach((e) => notify(e));
+
+    async function loadOne(entry) {
+      for (;;) {
+        entry.attempts++;
+        entry.status = 'fetching';
+        notify(entry);
+        let html;
+        try {
+          html = await fetcher(entry.url);
+        } catch (e) {
+          if (entry.attempts <= opts.retries) {
+            entry.status = 'retrying';
+            entry.error = e.message;
+            notify(entry);
+            await wait(opts.retryDelay * Math.pow(2, entry.attempts - 1));
+            continue;
+          }
+          entry.status = 'error';
+          entry.error = e.message;
+          notify(entry);
+          return;
+        }
+
+        const game = adapters.parseGamePage(html, entry.url);
+        if (game.tiers.length === 0) {
+          entry.status = 'error';
+          entry.error = 'Could not parse any prize tiers from the page.';
+        } else {
+          entry.status = 'done';
+          entry.error = null;
+          entry.game = engine.toOverviewGame(game);
+        }
+        notify(entry);
+        return;
+      }
+    }
+
+    let next = 0;
+    async function worker() {
+      while (next < entries.length) {
+        await loadOne(entries[next++]);
+      }
+    }
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(opts.concurrency, entries.length)); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return {
+      urls,
+      games: entries.filter((e) => e.game).map((e) => e.game),
+      entries,
+    };
+  }
+
+  return {
+    INDEX_URL,
+    DEFAULT_PROXY,
+    DEFAULTS,
+    createProxyFetcher,
+    savedProxy,
+    saveProxy,
+    pageFileName,
+    fetchGame,
+    findGameUrls,
+    loadIndex,
+  };
+});
@@ -0,0 +1,301 @@
+// === optimizer.js — Budget Allocation Across Games ===
+//
+// Splits a budget into whole tickets across games, each described by its
+// computeOverview row (price, calcEV and per-tier probability and value).
+// Recommendations spend the budget down to less than the cheapest eligible
+// ticket. The search works in whole dollars, so only games priced in whole
+// dollars are eligible. Draws are treated as independent: a budget buys a negligible
+// share of any game's remaining tickets.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScratcherOptimizer = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const GOALS = [
+    { id: 'ev', label: 'Maximize expected return' },
+    { id: 'prize', label: 'Maximize chance of a prize of $X or more' },
+    { id: 'loss', label: 'Minimize chance of losing more than Y%' },
+  ];
+
+  const LOSS_GRID_POINTS = 400; // resolution of the winnings distribution
+  const SHORTLIST_SIZE = 8; // games the loss search moves tickets between
+  const MAX_SEARCH_STEPS = 200;
+
+  // --- Per-ticket figures ---
+
+  // Chance one ticket wins a cash prize with face value of at least `amount`
+  function bigPrizeChance(row, amount) {
+    return row.tiers
+      .filter((t) => !t.isTicket && t.value >= amount)
+      .reduce((s, t) => s + t.probability, 0);
+  }
+
+  function metricsFor(counts, games, params) {
+    let spent = 0;
+    let ev = 0;
+    let logMiss = 0;
+    counts.forEach((n, i) => {
+      if (n === 0) return;
+      spent += n * games[i].price;
+      ev += n * games[i].calcEV;
+      logMiss += n * Math.log1p(-Math.min(1, bigPrizeChance(games[i], params.prizeAmount)));
+    });
+    return {
+      tickets: counts.reduce((a, b) => a + b, 0),
+      spent,
+      ev,
+      prizeChance: -Math.expm1(logMiss),
+      lossChance: params.loss.chance(counts, spent),
+    };
+  }
+
+  // --- Loss distribution ---
+  // Winnings are tracked on a grid of `unit` dollars up to the largest loss
+  // threshold; everything past it is one "enough" bucket. Payouts round down
+  // to the grid, so loss chances err on the high side.
+
+  function createLossModel(games, budget, lossPercent) {
+    const limit = budget * (1 - lossPercent / 100);
+    const unit = Math.max(1, limit / LOSS_GRID_POINTS);
+    const size = Math.max(1, Math.ceil(limit / unit)) + 1; // last index = enough
+    const powers = games.map(() => []);
+
+    function ticketDist(row) {
+      const d = new Float64Array(size);
+      let p = 0;
+      for (const t of row.tiers) {
+        if (!(t.probability > 0)) continue;
+        d[Math.min(size - 1, Math.floor(t.adjustedValue / unit))] += t.probability;
+        p += t.probability;
+      }
+      d[0] += Math.max(0, 1 - p);
+      return d;
+    }
+
+    // Capped sum of two winnings distributions. Skipping b's empty cells
+    // keeps adding one ticket (a handful of tiers) cheap.
+    function convolve(a, b) {
+      const nz = [];
+      for (let j = 0; j < size; j++) if (b[j] !== 0) nz.push(j);
+      const out = new Float64Array(size);
+      for (let i = 0; i < size; i++) {
+        if (a[i] === 0) continue;
+        for (const j of nz) out[Math.min(size - 1, i + j)] += a[i] * b[j];
+      }
+      return out;
+    }
+
+    // Winnings distribution of n tickets of game i, built up and kept
+    function power(i, n) {
+      const list = powers[i];
+      if (list.length === 0) {
+        const none = new Float64Array(size);
+        none[0] = 1;
+        list.push(none, ticketDist(games[i]));
+      }
+      while (list.length <= n) list.push(convolve(list[list.length - 1], list[1]));
+      return list[n];
+    }
+
+    // P(spent - winnings > lossPercent% of the budget). The last game is
+    // folded in through its cumulative distribution, so a two-game mix
+    // costs one pass over the grid.
+    function chance(counts, spent) {
+      const threshold = spent - (budget - limit);
+      if (threshold <= 0) return 0;
+      const below = Math.min(size - 1, Math.ceil(threshold / unit)); // grid cells under the threshold
+      const parts = [];
+      counts.forEach((n, i) => {
+        if (n > 0) parts.push(power(i, n));
+      });
+      if (parts.length === 0) return 0;
+
+      const last = parts.pop();
+      const cdf = new Float64Array(below + 1); // cdf[k] = P(last < k cells)
+      for (let k = 1; k <= below; k++) cdf[k] = cdf[k - 1] + last[k - 1];
+      let rest = null;
+      for (const d of parts) rest = rest ? convolve(rest, d) : d;
+      if (!rest) return cdf[below];
+      let p = 0;
+      for (let i = 0; i < below; i++) p += rest[i] * cdf[below - i];
+      return p;
+    }
+
+    return { chance };
+  }
+
+  // --- Search ---
+
+  // Adds tickets of the best-EV-per-dollar games that still fit
+  function fill(counts, games, budget) {
+    const out = counts.slice();
+    let left = budget - out.reduce((s, n, i) => s + n * games[i].price, 0);
+    const order = games
+      .map((g, i) => i)
+      .sort((a, b) => games[b].calcEV / games[b].price - games[a].calcEV / games[a].price);
+    for (const i of order) {
+      const n = Math.floor(left / games[i].price + 1e-9);
+      if (n > 0) {
+        out[i] += n;
+        left -= n * games[i].price;
+      }
+    }
+    return out;
+  }
+
+  // Unbounded knapsack over whole dollars for a per-ticket score that adds
+  // up across tickets, at the largest spend whole tickets can reach (so a
+  // negative-EV mix never wins by leaving money unspent). Prices must be
+  // whole dollars of at least 1 (see wholeDollars).
+  function knapsack(games, budget, score) {
+    const B = Math.floor(budget + 1e-9);
+    const prices = games.map((g) => g.price);
+    const best = new Float64Array(B + 1).fill(-Infinity);
+    const pick = new Int32Array(B + 1).fill(-1);
+    best[0] = 0;
+    for (let s = 1; s <= B; s++) {
+      games.forEach((g, i) => {
+        const prev = s - prices[i];
+        if (prev < 0 || best[prev] === -Infinity) return;
+        const v = best[prev] + score(g);
+        if (v > best[s]) {
+          best[s] = v;
+          pick[s] = i;
+        }
+      });
+    }
+
+    let end = B;
+    while (best[end] === -Infinity) end--;
+    const counts = games.map(() => 0);
+    for (let s = end; s > 0; s -= prices[pick[s]]) counts[pick[s]]++;
+    return counts;
+  }
+
+  // Loss goal: start from the best of several full-spend mixes, then move
+  // tickets between shortlisted games while the loss chance drops (ties go
+  // to the higher expected return).
+  function searchLoss(games, budget, params, starts) {
+    const better = (a, b) => a.lossChance < b.lossChance - 1e-12 ||
+      (Math.abs(a.lossChance - b.lossChance) <= 1e-12 && a.ev > b.ev + 1e-12);
+
+    const scored = starts.map((counts) => ({ counts, m: metricsFor(counts, games, params) }));
+    scored.sort((a, b) => (better(a.m, b.m) ? -1 : better(b.m, a.m) ? 1 : 0));
+    const shortlist = [];
+    for (const s of scored) {
+      s.counts.forEach((n, i) => {
+        if (n > 0 && !shortlist.includes(i)) shortlist.push(i);
+      });
+      if (shortlist.length >= SHORTLIST_SIZE) break;
+    }
+
+    let current = scored[0];
+    for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+      let next = null;
+      for (const a of shortlist) {
+        // Tickets move in batches of 1, 2, 4, ... so long walks stay short
+        for (let k = 1; k <= current.counts[a]; k *= 2) {
+          for (const b of shortlist) {
+            if (a === b) continue;
+            const counts = current.counts.slice();
+            counts[a] -= k;
+            const spent = counts.reduce((s, n, i) => s + n * games[i].price, 0);
+            const add = Math.floor((budget - spent) / games[b].price + 1e-9);
+            if (add === 0) continue;
+            counts[b] += add;
+            const candidate = { counts: fill(counts, games, budget) };
+            candidate.m = metricsFor(candidate.counts, games, params);
+            if (better(candidate.m, (next || current).m)) next = candidate;
+          }
+        }
+      }
+      if (!next) break;
+      current = next;
+    }
+    return current.counts;
+  }
+
+  // --- Entry point ---
+
+  function wholeDollars(price) {
+    return Number.isInteger(price) && price >= 1;
+  }
+
+  // `rows`: computeOverview rows. `goal`: { id, prizeAmount, lossPercent }.
+  // `limits`: { minPrice, maxPrice } on the ticket price. Returns
+  // { mix, single, unpriced } — mix and single each { allocation: [{ row,
+  // count, cost }], tickets, spent, ev, prizeChance, lossChance }, with
+  // `single` putting the whole budget into the best-EV game, and `unpriced`
+  // the rows left out for a price that is not a whole dollar — or { error }.
+  function optimizeBudget(rows, budget, goal, limits) {
+    const lim = limits || {};
+    const unpriced = rows.filter((r) => !wholeDollars(r.price));
+    const games = rows.filter((r) => wholeDollars(r.price) && r.price <= budget &&
+      !(lim.minPrice > r.price) && !(lim.maxPrice < r.price));
+    if (!(budget > 0)) return { error: 'Enter a budget above zero.' };
+    if (games.length === 0) {
+      return {
+        error: 'No loaded game has a whole-dollar ticket price within the budget and price limits.' +
+          (unpriced.length > 0 ? ` ${unpriced.length} left out for a price that is not a whole dollar.` : ''),
+      };
+    }
+    if (!GOALS.some((g) => g.id === goal.id)) return { error: `Unknown goal: ${goal.id}` };
+
+    const params = {
+      prizeAmount: goal.prizeAmount > 0 ? goal.prizeAmount : Infinity,
+      loss: createLossModel(games, budget, Math.min(100, Math.max(0, goal.lossPercent || 0))),
+    };
+
+    if (goal.id === 'prize' && !games.some((g) => bigPrizeChance(g, params.prizeAmount) > 0)) {
+      return { error: `No eligible game has a prize of $${goal.prizeAmount} or more left.` };
+    }
+
+    const evCounts = knapsack(games, budget, (g) => g.calcEV);
+    let counts;
+    if (goal.id === 'ev') {
+      counts = evCounts;
+    } else {
+      const prizeCounts = knapsack(games, budget, (g) => -Math.log1p(-Math.min(1 - 1e-15, bigPrizeChance(g, params.prizeAmount))));
+      if (goal.id === 'prize') {
+        counts = prizeCounts;
+      } else {
+        const singles = games.map((g, i) => {
+          const c = games.map(() => 0);
+          c[i] = Math.floor(budget / g.price + 1e-9);
+          return fill(c, games, budget);
+        });
+        counts = searchLoss(games, budget, params, [evCounts, prizeCounts, ...singles]);
+      }
+    }
+
+    const bestIdx = games.reduce((b, g, i) => (g.calcEV / g.price > games[b].calcEV / games[b].price ? i : b), 0);
+    const singleCounts = games.map((g, i) => (i === bestIdx ? Math.floor(budget / g.price + 1e-9) : 0));
+
+    const describe = (c) => Object.assign({
+      allocation: c
+        .map((n, i) => ({ row: games[i], count: n, cost: n * games[i].price }))
+        .filter((a) => a.count > 0)
+        .sort((a, b) => b.cost - a.cost),
+    }, metricsFor(c, games, params));
+
+    return {
+      goal: goal.id,
+      budget,
+      games: games.length,
+      unpriced,
+      mix: describe(counts),
+      single: describe(singleCounts),
+    };
+  }
+
+  return {
+    GOALS,
+    bigPrizeChance,
+    optimizeBudget,
+  };
+});
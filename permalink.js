@@ -0,0 +1,122 @@
+// === permalink.js — Shareable Calculator Links ===
+//
+// Encodes a game's prize table and the modeling options into the URL hash
+// of the calculator page (index.html#game=...), so a link opens the game
+// already filled in and calculated. The hash never reaches a server, and
+// the payload is compact JSON in base64url to keep links short enough to
+// paste into chat.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'));
+  } else {
+    root.ScratcherPermalink = factory(root.ScratcherEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+  'use strict';
+
+  const VERSION = 1;
+  const HASH_KEY = 'game';
+
+  // --- base64url over UTF-8 ---
+
+  function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(s) {
+    const binary = atob(s.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+  }
+
+  // --- Encoding ---
+
+  function prizeText(t) {
+    if (t.label) return String(t.label);
+    if (t.isTicket) return 'Ticket';
+    return typeof t.value === 'number' ? '$' + t.value.toLocaleString('en-US') : String(t.value);
+  }
+
+  // Accepts either game shape. Tiers are stored as the calculator's tier-row
+  // fields: [prize label, odds (1 in N), remaining, total].
+  function encodeGame(game, options) {
+    const g = engine.toOverviewGame(game);
+    const payload = {
+      v: VERSION,
+      n: g.name || '',
+      no: String(g.number || ''),
+      p: g.price || 0,
+      co: g.claimedOdds || '',
+      cco: g.claimedCashOdds || '',
+      t: g.tiers.map((t) => [prizeText(t), engine.parseOdds(t.odds), t.remaining, t.total]),
+    };
+    if (options) payload.o = options;
+    return toBase64Url(JSON.stringify(payload));
+  }
+
+  // Link to the calculator page `base` (e.g. "index.html") for a game.
+  function gameLink(base, game, options) {
+    return base + '#' + HASH_KEY + '=' + encodeGame(game, options);
+  }
+
+  // --- Decoding ---
+
+  // Returns { game, options } with the game in the calculator's form-field
+  // shape ({ name, number, ticketPrice, claimedOdds, claimedCashOdds,
+  // tiers: [{ prize, odds, remaining, total }] }); options is null when the
+  // link carries none. Throws on a malformed or unsupported payload.
+  function decodeGame(encoded) {
+    let payload;
+    try {
+      payload = JSON.parse(fromBase64Url(String(encoded)));
+    } catch (e) {
+      throw new Error('The game link is damaged or incomplete.');
+    }
+    if (!payload || typeof payload !== 'object' || !Array.isArray(payload.t)) {
+      throw new Error('The game link is damaged or incomplete.');
+    }
+    if (payload.v !== VERSION) {
+      throw new Error(`Unsupported game link version: ${payload.v}`);
+    }
+
+    const tiers = payload.t
+      .filter((t) => Array.isArray(t) && t.length >= 3)
+      .map(([prize, odds, remaining, total]) => ({
+        prize: String(prize),
+        odds: Number(odds),
+        remaining: Number(remaining),
+        total: total === undefined || total === null ? Number(remaining) : Number(total),
+      }));
+    if (tiers.length === 0) throw new Error('The game link has no prize tiers.');
+
+    return {
+      game: {
+        name: String(payload.n || ''),
+        number: String(payload.no || ''),
+        ticketPrice: Number(payload.p) || 0,
+        claimedOdds: String(payload.co || ''),
+        claimedCashOdds: String(payload.cco || ''),
+        tiers,
+      },
+      options: payload.o && typeof payload.o === 'object' ? payload.o : null,
+    };
+  }
+
+  // The encoded payload in a location hash ("#game=..."), or null.
+  function fromHash(hash) {
+    const m = String(hash || '').match(new RegExp('^#?' + HASH_KEY + '=([A-Za-z0-9_-]+)'));
+    return m ? m[1] : null;
+  }
+
+  return {
+    VERSION,
+    HASH_KEY,
+    encodeGame,
+    gameLink,
+    decodeGame,
+    fromHash,
+  };
+});
@@ -0,0 +1,154 @@
+// === prizes.js — Prize Label Parsing and Payout Valuation ===
+//
+// Recognizes periodic prizes ("$1,000/week for life", "$5,000 a month for
+// 20 years") and values them, along with large lump prizes paid as
+// annuities, either at the cash option or as a discounted payment stream.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScratcherPrizes = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PERIODS_PER_YEAR = {
+    day: 365,
+    week: 52,
+    month: 12,
+    year: 1,
+  };
+
+  const PERIOD_ALIASES = {
+    day: 'day', daily: 'day',
+    week: 'week', wk: 'week', weekly: 'week',
+    month: 'month', mo: 'month', monthly: 'month',
+    year: 'year', yr: 'year', yearly: 'year', annually: 'year',
+  };
+
+  const DEFAULT_PAYOUT = {
+    mode: 'lump', // 'lump' (cash option) or 'annuity' (discounted payments)
+    cashOptionRatio: 0.5, // cash option as a share of the nominal total
+    discountRate: 4, // annual percent, used in annuity mode
+    termYears: 20, // payout term for "for life" and large lump prizes
+    annuityThreshold: 0, // lump prizes at or above this pay as annuities (0 = off)
+  };
+
+  // "$1,000", "$1.5M", "$100K", "$5 Million" -> number
+  function parseAmount(str) {
+    const m = String(str).replace(/,/g, '').match(/\$?\s*(\d+(?:\.\d+)?)\s*(k|m|thousand|million)?\b/i);
+    if (!m) return NaN;
+    const n = parseFloat(m[1]);
+    const unit = (m[2] || '').toLowerCase();
+    if (unit === 'k' || unit === 'thousand') return n * 1e3;
+    if (unit === 'm' || unit === 'million') return n * 1e6;
+    return n;
+  }
+
+  // --- Label parsing ---
+
+  function parsePrizeLabel(label) {
+    if (typeof label === 'number') {
+      return { label: String(label), periodic: false, amount: label };
+    }
+    const s = String(label || '').trim();
+    const periodic = s.match(/^(.*?)\s*(?:\/|\ba\b|\bper\b|\bevery\b|\beach\b)\s*(day|daily|week|wk|weekly|month|mo|monthly|year|yr|yearly)\b(.*)$/i) ||
+      s.match(/^(.*?)\s+(daily|weekly|monthly|yearly|annually)\b(.*)$/i);
+
+    if (periodic) {
+      const payment = parseAmount(periodic[1]);
+      const period = PERIOD_ALIASES[periodic[2].toLowerCase()];
+      const rest = periodic[3];
+      const years = rest.match(/for\s+(\d+)\s+(?:years?|yrs?)/i);
+      if (!isNaN(payment) && period) {
+        const info = {
+          label: s,
+          periodic: true,
+          payment,
+          period,
+          periodsPerYear: PERIODS_PER_YEAR[period],
+          years: years ? parseInt(years[1], 10) : null, // null = for life
+        };
+        info.amount = nominalValue(info, DEFAULT_PAYOUT);
+        return info;
+      }
+    }
+
+    return { label: s, periodic: false, amount: parseAmount(s) };
+  }
+
+  // --- Valuation ---
+
+  function payoutSettings(settings) {
+    return Object.assign({}, DEFAULT_PAYOUT, settings || {});
+  }
+
+  // Payment schedule for prizes paid over time, or null for a single payment.
+  function annuityTerms(faceValue, info, settings) {
+    const opts = payoutSettings(settings);
+    if (info && info.periodic) {
+      return {
+        payment: info.payment,
+        periodsPerYear: info.periodsPerYear,
+        years: info.years || opts.termYears,
+      };
+    }
+    if (opts.annuityThreshold > 0 && faceValue >= opts.annuityThreshold && opts.termYears > 0) {
+      return { payment: faceValue / opts.termYears, periodsPerYear: 1, years: opts.termYears };
+    }
+    return null;
+  }
+
+  function nominalValue(info, settings) {
+    if (!info.periodic) return info.amount;
+    const years = info.years || payoutSettings(settings).termYears;
+    return info.payment * info.periodsPerYear * years;
+  }
+
+  // Present value of an annuity-due: the first payment is made at claim time.
+  function presentValue(payment, periodsPerYear, years, annualRatePct) {
+    const n = Math.round(periodsPerYear * years);
+    const r = annualRatePct / 100 / periodsPerYear;
+    if (r <= 0) return payment * n;
+    return payment * (1 - Math.pow(1 + r, -n)) / r * (1 + r);
+  }
+
+  // Value a prize under the payout settings. `taxFn` maps a taxable amount to
+  // its after-tax amount; annuity payments are taxed one year at a time.
+  function valuePrize(faceValue, info, settings, taxFn) {
+    const opts = payoutSettings(settings);
+    const afterTax = taxFn || ((x) => x);
+    const terms = annuityTerms(faceValue, info, opts);
+    if (!terms) return afterTax(faceValue);
+
+    const nominal = terms.payment * terms.periodsPerYear * terms.years;
+    if (opts.mode !== 'annuity') return afterTax(nominal * opts.cashOptionRatio);
+
+    const annual = terms.payment * terms.periodsPerYear;
+    const netPayment = afterTax(annual) / terms.periodsPerYear;
+    return presentValue(netPayment, terms.periodsPerYear, terms.years, opts.discountRate);
+  }
+
+  // The amount the tax model sees for one claim of this prize.
+  function taxableAmount(faceValue, info, settings) {
+    const opts = payoutSettings(settings);
+    const terms = annuityTerms(faceValue, info, opts);
+    if (!terms) return { amount: faceValue, basis: 'lump' };
+    if (opts.mode !== 'annuity') {
+      return { amount: terms.payment * terms.periodsPerYear * terms.years * opts.cashOptionRatio, basis: 'cash option' };
+    }
+    return { amount: terms.payment * terms.periodsPerYear, basis: 'per year' };
+  }
+
+  return {
+    DEFAULT_PAYOUT,
+    parseAmount,
+    parsePrizeLabel,
+    annuityTerms,
+    nominalValue,
+    presentValue,
+    valuePrize,
+    taxableAmount,
+  };
+});
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+// === proxy.js — Caching CORS proxy for lottery game pages ===
+//
+// Usage:
+//   node proxy.js [options]
+//
+// Serves GET /raw?url=<encoded page URL>, the same form the browser pages
+// use for a CORS proxy. Only hosts of the registered parser adapters (and
+// their subdomains) are forwarded. Responses are cached on disk for --ttl
+// seconds, upstream requests are spaced to --rate per second, and a cached
+// copy is served, however old, when the upstream request fails.
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const adapters = require('./adapters');
+
+const USAGE = `Usage: node proxy.js [options]
+
+Options:
+  --port <n>           Port to listen on (default 8787)
+  --host <addr>        Address to bind (default 127.0.0.1)
+  --cache-dir <dir>    Cache directory (default: scratcher-proxy in the OS temp dir)
+  --ttl <seconds>      How long a cached page is served without refetching (default 900)
+  --rate <n>           Upstream requests per second (default 1)
+  --timeout <seconds>  Upstream request timeout (default 20)
+  --allow <host>       Additional host to forward to (repeatable)
+  -h, --help           Show this help`;
+
+const DEFAULTS = {
+  port: 8787,
+  host: '127.0.0.1',
+  cacheDir: path.join(os.tmpdir(), 'scratcher-proxy'),
+  ttl: 900,
+  rate: 1,
+  timeout: 20,
+};
+
+const MAX_REDIRECTS = 5;
+
+// --- Allowlist ---
+
+function allowedHosts(extra) {
+  const hosts = [];
+  for (const a of adapters.listAdapters()) hosts.push(...a.hosts);
+  return hosts.concat(extra || []).map((h) => h.toLowerCase());
+}
+
+function isAllowed(url, hosts) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  if (u.protocol !== 'https:' && u.protocol !== 'http:') return false;
+  const host = u.hostname.toLowerCase();
+  return hosts.some((h) => host === h || host.endsWith('.' + h));
+}
+
+// --- Disk cache ---
+
+function createCache(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = (url) => path.join(dir, crypto.createHash('sha256').update(url).digest('hex') + '.json');
+
+  return {
+    get(url) {
+      try {
+        return JSON.parse(fs.readFileSync(file(url), 'utf8'));
+      } catch (e) {
+        return null;
+      }
+    },
+    put(url, entry) {
+      // Written to a temporary name first so a reader never sees half a file
+      const target = file(url);
+      const tmp = target + '.' + process.pid + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify(entry));
+      fs.renameSync(tmp, target);
+    },
+  };
+}
+
+// --- Rate limit ---
+
+// Runs scheduled tasks one after another, starting each at least
+// 1000 / perSecond ms after the previous one started.
+function createRateLimiter(perSecond) {
+  const interval = perSecond > 0 ? 1000 / perSecond : 0;
+  let nextStart = 0;
+  let chain = Promise.resolve();
+  return function schedule(task) {
+    const run = chain.then(async () => {
+      const wait = nextStart - Date.now();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      nextStart = Date.now() + interval;
+      return task();
+    });
+    chain = run.catch(() => {});
+    return run;
+  };
+}
+
+// --- Upstream ---
+
+// Redirects are followed by hand so each hop is checked against the
+// allowlist before it is requested, not only the final URL.
+async function fetchUpstream(url, hosts, timeoutSec) {
+  const signal = AbortSignal.timeout(timeoutSec * 1000);
+  let current = url;
+  let resp;
+  for (let hop = 0; ; hop++) {
+    resp = await fetch(current, {
+      redirect: 'manual',
+      signal,
+      headers: { 'User-Agent': 'scratcher-analyzer-proxy' },
+    });
+    const location = resp.status >= 300 && resp.status < 400 ? resp.headers.get('location') : null;
+    if (!location) break;
+    if (resp.body) await resp.body.cancel();
+    if (hop >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    const next = new URL(location, current).href;
+    if (!isAllowed(next, hosts)) {
+      throw new Error(`Redirected to a host that is not allowed: ${new URL(next).hostname}`);
+    }
+    current = next;
+  }
+  return {
+    status: resp.status,
+    contentType: resp.headers.get('content-type') || 'text/html; charset=utf-8',
+    body: await resp.text(),
+  };
+}
+
+// --- Server ---
+
+function createProxy(config) {
+  const opts = Object.assign({}, DEFAULTS, config || {});
+  const hosts = allowedHosts(opts.allow);
+  const cache = createCache(opts.cacheDir);
+  const schedule = createRateLimiter(opts.rate);
+  const pending = new Map(); // url -> in-flight upstream request, shared by concurrent callers
+
+  function send(res, status, body, headers) {
+    res.writeHead(status, Object.assign({
+      'Access-Control-Allow-Origin': '*',
+      'Content-Type': 'text/plain; charset=utf-8',
+    }, headers || {}));
+    res.end(body);
+  }
+
+  function refresh(url) {
+    if (!pending.has(url)) {
+      const p = schedule(() => fetchUpstream(url, hosts, opts.timeout))
+        .then((r) => {
+          if (r.status === 200) cache.put(url, { url, fetchedAt: Date.now(), contentType: r.contentType, body: r.body });
+          return r;
+        })
+        .finally(() => pending.delete(url));
+      pending.set(url, p);
+    }
+    return pending.get(url);
+  }
+
+  async function handle(req, res) {
+    const reqUrl = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') return send(res, 204, '', { 'Access-Control-Allow-Methods': 'GET' });
+    if (req.method !== 'GET') return send(res, 405, 'Only GET is supported.');
+    if (reqUrl.pathname !== '/raw') return send(res, 404, 'Use /raw?url=<page URL>.');
+
+    const target = reqUrl.searchParams.get('url');
+    if (!target) return send(res, 400, 'Missing url parameter.');
+    if (!isAllowed(target, hosts)) return send(res, 403, 'Host not allowed: ' + target);
+
+    const cached = cache.get(target);
+    const age = cached ? (Date.now() - cached.fetchedAt) / 1000 : Infinity;
+    if (cached && age < opts.ttl) {
+      return send(res, 200, cached.body, { 'Content-Type': cached.contentType, 'X-Cache': 'HIT', Age: String(Math.floor(age)) });
+    }
+
+    let upstream = null;
+    let failure = null;
+    try {
+      upstream = await refresh(target);
+      if (upstream.status >= 500) failure = `upstream returned HTTP ${upstream.status}`;
+    } catch (e) {
+      failure = e.message;
+    }
+
+    if (failure && cached) {
+      return send(res, 200, cached.body, {
+        'Content-Type': cached.contentType,
+        'X-Cache': 'STALE',
+        Age: String(Math.floor(age)),
+        Warning: `110 - "Response is stale: ${failure.replace(/"/g, "'")}"`,
+      });
+    }
+    if (!upstream) return send(res, 502, 'Upstream request failed: ' + failure);
+    return send(res, upstream.status, upstream.body, { 'Content-Type': upstream.contentType, 'X-Cache': 'MISS' });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((e) => send(res, 500, e.message));
+  });
+}
+
+// --- Main ---
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      options: {
+        port: { type: 'string', default: String(DEFAULTS.port) },
+        host: { type: 'string', default: DEFAULTS.host },
+        'cache-dir': { type: 'string', default: DEFAULTS.cacheDir },
+        ttl: { type: 'string', default: String(DEFAULTS.ttl) },
+        rate: { type: 'string', default: String(DEFAULTS.rate) },
+        timeout: { type: 'string', default: String(DEFAULTS.timeout) },
+        allow: { type: 'string', multiple: true, default: [] },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (e) {
+    process.stderr.write(e.message + '\n\n' + USAGE + '\n');
+    return 2;
+  }
+
+  const { values } = args;
+  if (values.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+  const config = {
+    port: parseInt(values.port, 10),
+    host: values.host,
+    cacheDir: values['cache-dir'],
+    ttl: parseFloat(values.ttl),
+    rate: parseFloat(values.rate),
+    timeout: parseFloat(values.timeout),
+    allow: values.allow,
+  };
+  if (!(config.port > 0) || !(config.ttl >= 0) || !(config.rate > 0) || !(config.timeout > 0)) {
+    process.stderr.write(USAGE + '\n');
+    return 2;
+  }
+
+  const server = createProxy(config);
+  server.listen(config.port, config.host, () => {
+    process.stdout.write(`Proxy listening on http://${config.host}:${config.port}/raw?url=\n` +
+      `Forwarding to: ${allowedHosts(config.allow).join(', ')}\n` +
+      `Cache: ${config.cacheDir} (TTL ${config.ttl}s)\n`);
+  });
+  return null;
+}
+
+if (require.main === module) {
+  const code = main(process.argv.slice(2));
+  if (code !== null) process.exitCode = code;
+}
+
+module.exports = { main, createProxy, createRateLimiter, isAllowed, allowedHosts };
@@ -0,0 +1,69 @@
+// === risk.js — Per-Ticket Variance and Risk-of-Ruin Metrics ===
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScratcherRisk = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TOP_TIER_COUNT = 3;
+
+  // Probability of losing `bankroll` before winning up to `target`, playing
+  // a game whose per-ticket net has mean `mu` and variance `variance`.
+  // Uses the Brownian (diffusion) approximation of gambler's ruin with drift.
+  function riskOfRuin(mu, variance, bankroll, target) {
+    if (!(bankroll > 0) || !(target > bankroll)) return NaN;
+    if (!(variance > 0)) return mu < 0 ? 1 : 0;
+
+    const theta = (2 * mu) / variance;
+    if (Math.abs(theta * target) < 1e-9) return (target - bankroll) / target;
+
+    // Written so the exponentials never overflow for either sign of drift
+    if (theta > 0) {
+      return (Math.exp(-theta * bankroll) - Math.exp(-theta * target)) /
+        -Math.expm1(-theta * target);
+    }
+    const a = -theta;
+    return -Math.expm1(-a * (target - bankroll)) / -Math.expm1(-a * target);
+  }
+
+  // `tiers` is any per-tier list with `probability`, `adjustedValue`, `value`
+  // and `isTicket` — the shape of both computeEV and computeOverview tiers.
+  function computeRisk(tiers, price, params) {
+    const opts = params || {};
+    let mean = 0;
+    let second = 0;
+    for (const t of tiers) {
+      mean += t.probability * t.adjustedValue;
+      second += t.probability * t.adjustedValue * t.adjustedValue;
+    }
+    const variance = Math.max(0, second - mean * mean);
+    const stdDev = Math.sqrt(variance);
+
+    // Share of gross EV contributed by the highest-value cash tiers
+    const topCount = opts.topTierCount || TOP_TIER_COUNT;
+    const top = tiers
+      .filter((t) => !t.isTicket && t.value > 0)
+      .sort((a, b) => b.value - a.value)
+      .slice(0, topCount);
+    const topEV = top.reduce((s, t) => s + t.probability * t.adjustedValue, 0);
+
+    return {
+      variance,
+      stdDev,
+      cv: mean > 0 ? stdDev / mean : NaN,
+      topTierCount: topCount,
+      topShare: mean > 0 ? topEV / mean : NaN,
+      ruinRisk: riskOfRuin(mean - price, variance, opts.bankroll, opts.target),
+    };
+  }
+
+  return {
+    TOP_TIER_COUNT,
+    riskOfRuin,
+    computeRisk,
+  };
+});
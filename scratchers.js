@@ -3,144 +3,274 @@
 (function () {
   'use strict';
 
+  const { computeOverview, compareEstimatorsOverview } = window.ScratcherEngine;
+  const { listEstimators } = window.ScratcherEstimators;
+  const { computeRisk } = window.ScratcherRisk;
+  const { MODELS: UTILITY_MODELS, computeUtility } = window.ScratcherUtility;
+  const { overviewInterval, excludesZero } = window.ScratcherUncertainty;
+  const { createSnapshotStore, gameKey } = window.ScratcherSnapshots;
+  const { forecastGame } = window.ScratcherForecast;
+  const { createProxyFetcher, loadIndex, savedProxy, saveProxy } = window.ScratcherLoader;
+  const { FIELDS, parseDelimited, detectDelimiter, guessMapping, rowsToGames, toCsv, optionsHeader } = window.ScratcherCsv;
+  const { gameLink } = window.ScratcherPermalink;
+  const { GOALS, optimizeBudget } = window.ScratcherOptimizer;
+  const { validateGame } = window.ScratcherValidate;
+  const { DEFAULT_CLAIM_LAG } = window.ScratcherClaimLag;
+  const { scatterChart } = window.ScratcherCharts;
+
   // --- DOM refs ---
   const jsonInput = document.getElementById('json-input');
   const loadJsonBtn = document.getElementById('load-json-btn');
   const loadSampleBtn = document.getElementById('load-sample-btn');
+  const indexUrlInput = document.getElementById('index-url');
+  const proxyInput = document.getElementById('proxy-url');
+  const bulkLoadBtn = document.getElementById('bulk-load-btn');
+  const bulkProgress = document.getElementById('bulk-progress');
+  const bulkStatus = document.getElementById('bulk-status');
+  const bulkBody = document.getElementById('bulk-body');
+  const csvFileInput = document.getElementById('csv-file');
+  const csvMapping = document.getElementById('csv-mapping');
+  const csvMappingFields = document.getElementById('csv-mapping-fields');
+  const csvStatus = document.getElementById('csv-status');
+  const csvImportBtn = document.getElementById('csv-import-btn');
+  const exportCsvBtn = document.getElementById('export-csv-btn');
   const resultsSection = document.getElementById('results-section');
   const errorSection = document.getElementById('error-section');
   const errorMessage = document.getElementById('error-message');
   const scratchersBody = document.getElementById('scratchers-body');
+  const evScatter = document.getElementById('ev-scatter');
   const gameCountSpan = document.getElementById('game-count');
+  const skippedGamesP = document.getElementById('skipped-games');
   const ignoreUnder500 = document.getElementById('ignore-under-500');
   const applyTax = document.getElementById('apply-tax');
-  const taxRateInput = document.getElementById('tax-rate');
+  const filingStatusSelect = document.getElementById('filing-status');
+  const otherIncomeInput = document.getElementById('other-income');
+  const stateRuleSelect = document.getElementById('state-rule');
+  const stateRateInput = document.getElementById('state-rate');
+  const payoutModeSelect = document.getElementById('payout-mode');
+  const cashOptionRatioInput = document.getElementById('cash-option-ratio');
+  const discountRateInput = document.getElementById('discount-rate');
+  const payoutTermInput = document.getElementById('payout-term');
+  const annuityThresholdInput = document.getElementById('annuity-threshold');
+  const ticketValuationSelect = document.getElementById('ticket-valuation');
+  const estimatorSelect = document.getElementById('estimator');
+  const claimLagCheckbox = document.getElementById('claim-lag');
+  const claimLagAgeInput = document.getElementById('claim-lag-age');
+  const claimLagBands = document.getElementById('claim-lag-bands');
+  const bankrollInput = document.getElementById('bankroll');
+  const bankrollTargetInput = document.getElementById('bankroll-target');
+  const utilityModelSelect = document.getElementById('utility-model');
+  const riskAversionInput = document.getElementById('risk-aversion');
+  const filterSearchInput = document.getElementById('filter-search');
+  const filterPriceMinInput = document.getElementById('filter-price-min');
+  const filterPriceMaxInput = document.getElementById('filter-price-max');
+  const filterTopMinInput = document.getElementById('filter-top-min');
+  const filterPositiveEv = document.getElementById('filter-positive-ev');
+  const columnToggles = document.getElementById('column-toggles');
+  const columnHeaders = Array.from(document.querySelectorAll('#scratchers-table thead th'));
+  const optimizerSection = document.getElementById('optimizer-section');
+  const optBudgetInput = document.getElementById('opt-budget');
+  const optGoalSelect = document.getElementById('opt-goal');
+  const optPrizeInput = document.getElementById('opt-prize');
+  const optLossInput = document.getElementById('opt-loss');
+  const optMinPriceInput = document.getElementById('opt-min-price');
+  const optMaxPriceInput = document.getElementById('opt-max-price');
+  const optBtn = document.getElementById('opt-btn');
+  const optStatus = document.getElementById('opt-status');
+  const optResults = document.getElementById('opt-results');
+  const optAllocationBody = document.getElementById('opt-allocation-body');
+  const optCompareBody = document.getElementById('opt-compare-body');
+  const optSingleHead = document.getElementById('opt-single-head');
+
+  // --- Estimator choices ---
+
+  for (const e of listEstimators()) {
+    const opt = document.createElement('option');
+    opt.value = e.id;
+    opt.textContent = e.label;
+    estimatorSelect.appendChild(opt);
+  }
+  estimatorSelect.value = 'scaled-mean';
+
+  for (const m of UTILITY_MODELS) {
+    const opt = document.createElement('option');
+    opt.value = m.id;
+    opt.textContent = m.label;
+    utilityModelSelect.appendChild(opt);
+  }
+
+  // --- Claim-lag bands ---
+
+  const claimLagBandInputs = DEFAULT_CLAIM_LAG.bands.map((band, i, bands) => {
+    const input = (value, step) => {
+      const el = document.createElement('input');
+      el.type = 'number';
+      el.min = '0';
+      el.step = String(step);
+      el.value = value;
+      el.className = 'inline-input';
+      return el;
+    };
+    const days = input(band.meanDays, 1);
+    const never = input(band.unclaimed * 100, 0.5);
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const range = i === 0 && bands[1] ? `Under $${bands[1].min.toLocaleString()}` : `$${band.min.toLocaleString()}+`;
+    label.append(`${range}: claimed after `, days, ' days on average, never ', never, '%');
+    claimLagBands.appendChild(label);
+    return { min: band.min, days, never };
+  });
+
+  for (const g of GOALS) {
+    const opt = document.createElement('option');
+    opt.value = g.id;
+    opt.textContent = g.label;
+    optGoalSelect.appendChild(opt);
+  }
 
   // --- State ---
   let gamesData = [];
+  let histories = new Map(); // game key -> snapshots, for the depletion forecast
+  let analyzed = []; // one row per usable game under the current options
+  let skipped = []; // games computeOverview could not use, with the reason
+  let lastRows = []; // table rows as last rendered, for export
   let sortKey = 'calcEV';
   let sortDir = 1; // 1 = ascending, -1 = descending
 
-  // --- Parsing helpers ---
+  // --- Table view: filters and columns ---
+  // Kept in localStorage so the view survives a reload. Columns marked
+  // data-optional in the page start hidden.
 
-  function parseCurrency(str) {
-    if (typeof str === 'number') return str;
-    if (!str) return NaN;
-    return parseFloat(String(str).replace(/[$,\s]/g, ''));
-  }
-
-  function parseOdds(str) {
-    if (typeof str === 'number') return str;
-    if (!str) return NaN;
-    const m = String(str).trim().match(/1\s+in\s+([\d,.]+)/i);
-    if (m) return parseCurrency(m[1]);
-    return parseCurrency(str);
-  }
+  const VIEW_STORAGE_KEY = 'scratcher-overview-view';
 
-  function isTicketTier(val) {
-    if (typeof val === 'string') {
-      const s = val.trim().toLowerCase();
-      return s === 'ticket' || s === 'free ticket' || s.includes('free ticket');
+  function loadView() {
+    try {
+      return JSON.parse(window.localStorage.getItem(VIEW_STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
     }
-    return false;
   }
 
-  // --- Value adjustments ---
-
-  function adjustValue(value, isTicket, options) {
-    let a = value;
-    if (options.ignoreUnder500 && !isTicket && a > 0 && a < 500) {
-      a = 0;
-    }
-    if (options.applyTax && !isTicket && a > 0) {
-      a = a * (1 - options.taxRate / 100);
+  const savedView = loadView();
+  const filterInputs = {
+    search: filterSearchInput,
+    priceMin: filterPriceMinInput,
+    priceMax: filterPriceMaxInput,
+    topMin: filterTopMinInput,
+  };
+  const columnVisible = new Map(); // sort key -> shown
+
+  function saveView() {
+    const filters = { positiveOnly: filterPositiveEv.checked };
+    for (const [k, el] of Object.entries(filterInputs)) filters[k] = el.value;
+    try {
+      window.localStorage.setItem(VIEW_STORAGE_KEY, JSON.stringify({
+        filters,
+        columns: Object.fromEntries(columnVisible),
+      }));
+    } catch (e) {
+      // Storage can be disabled; the view then lasts until reload
     }
-    return a;
   }
 
-  // --- Multi-game EV engine (Section 5 of spec) ---
-
-  function computeOverview(game, options) {
-    const price = game.price;
-    const tiers = game.tiers;
+  function getFilters() {
+    const num = (el) => (el.value.trim() === '' ? null : parseFloat(el.value));
+    return {
+      search: filterSearchInput.value.trim().toLowerCase(),
+      priceMin: num(filterPriceMinInput),
+      priceMax: num(filterPriceMaxInput),
+      topMin: num(filterTopMinInput),
+      positiveOnly: filterPositiveEv.checked,
+    };
+  }
 
-    if (!price || !tiers || tiers.length === 0) {
-      return null;
+  function matchesFilters(r, f) {
+    if (f.search && !String(r.name).toLowerCase().includes(f.search) && !String(r.number).toLowerCase().includes(f.search)) {
+      return false;
     }
+    if (f.priceMin !== null && r.price < f.priceMin) return false;
+    if (f.priceMax !== null && r.price > f.priceMax) return false;
+    if (f.topMin !== null && r.topRemaining < f.topMin) return false;
+    if (f.positiveOnly && !(r.calcEV > 0)) return false;
+    return true;
+  }
 
-    // Resolve values
-    const resolved = tiers.map((t) => {
-      const label = t.label || t.prize || '';
-      const isTkt = isTicketTier(label) || t.isTicket;
-      const rawValue = isTkt ? price : parseCurrency(t.value);
-      const odds = typeof t.odds === 'number' ? t.odds : parseOdds(t.odds);
-      const remaining = t.remaining || 0;
-      const total = t.total || t.initial || remaining;
-      return { label, rawValue, odds, remaining, total, isTicket: isTkt };
+  function applyColumnVisibility() {
+    columnHeaders.forEach((th, i) => {
+      const hidden = !columnVisible.get(th.dataset.key);
+      th.hidden = hidden;
+      for (const tr of scratchersBody.rows) {
+        if (tr.cells[i]) tr.cells[i].hidden = hidden;
+      }
     });
+  }
 
-    // Filter tiers with valid data
-    const valid = resolved.filter((t) => t.total > 0 && !isNaN(t.odds) && t.odds > 0);
-    if (valid.length === 0) return null;
-
-    // 5.1 Ticket Count and Remaining Pool
-    // Q_i = odds_i * total_i
-    const Qs = valid.map((t) => t.odds * t.total);
-    const M0 = Qs.reduce((a, b) => a + b, 0) / Qs.length; // mean
-
-    const Tsum = valid.reduce((s, t) => s + t.total, 0);
-    const Rsum = valid.reduce((s, t) => s + t.remaining, 0);
-
-    if (Tsum === 0 || Rsum === 0 || M0 === 0) return null;
-
-    const Mhat = M0 * (Rsum / Tsum);
-    const calcOddsVal = Mhat / Rsum;
-
-    // 5.2 Claimed vs Calculated EV
-
-    // Claimed (launch-state) gross EV
-    let claimedGross = 0;
-    for (const t of valid) {
-      const adj = adjustValue(t.rawValue, t.isTicket, options);
-      claimedGross += adj * t.total;
-    }
-    claimedGross = claimedGross / M0;
-    const claimedNet = claimedGross - price;
-
-    // Calculated (current-state) gross EV
-    let calcGross = 0;
-    for (const t of valid) {
-      const adj = adjustValue(t.rawValue, t.isTicket, options);
-      calcGross += adj * t.remaining;
-    }
-    calcGross = calcGross / Mhat;
-    const calcNet = calcGross - price;
+  const savedFilters = savedView.filters || {};
+  for (const [k, el] of Object.entries(filterInputs)) {
+    if (typeof savedFilters[k] === 'string') el.value = savedFilters[k];
+  }
+  filterPositiveEv.checked = !!savedFilters.positiveOnly;
+
+  const savedColumns = savedView.columns || {};
+  for (const th of columnHeaders) {
+    const key = th.dataset.key;
+    const shown = typeof savedColumns[key] === 'boolean' ? savedColumns[key] : !th.hasAttribute('data-optional');
+    columnVisible.set(key, shown);
+
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = shown;
+    box.addEventListener('change', () => {
+      columnVisible.set(key, box.checked);
+      saveView();
+      applyColumnVisibility();
+    });
+    label.append(box, th.firstChild.textContent.trim());
+    columnToggles.appendChild(label);
+  }
+  applyColumnVisibility();
 
-    // EV delta %
-    const deltaPercent = claimedNet !== 0
-      ? ((calcNet - claimedNet) / Math.abs(claimedNet)) * 100
-      : 0;
+  // --- Rendering ---
 
+  function getRiskParams() {
     return {
-      name: game.name,
-      number: game.number || '',
-      price,
-      claimedOddsText: game.claimedOdds || '—',
-      claimedOddsVal: parseOdds(game.claimedOdds),
-      calcOddsVal,
-      claimedEV: claimedNet,
-      calcEV: calcNet,
-      deltaPercent,
+      bankroll: parseFloat(bankrollInput.value) || 0,
+      target: parseFloat(bankrollTargetInput.value) || 0,
+      model: utilityModelSelect.value,
+      riskAversion: parseFloat(riskAversionInput.value),
     };
   }
 
-  // --- Rendering ---
-
   function getOptions() {
     return {
       ignoreUnder500: ignoreUnder500.checked,
       applyTax: applyTax.checked,
-      taxRate: parseFloat(taxRateInput.value) || 24,
+      tax: {
+        filingStatus: filingStatusSelect.value,
+        otherIncome: parseFloat(otherIncomeInput.value) || 0,
+        state: stateRuleSelect.value,
+        stateRate: parseFloat(stateRateInput.value) || 0,
+      },
+      payout: {
+        mode: payoutModeSelect.value,
+        cashOptionRatio: (parseFloat(cashOptionRatioInput.value) || 0) / 100,
+        discountRate: parseFloat(discountRateInput.value) || 0,
+        termYears: parseInt(payoutTermInput.value, 10) || 20,
+        annuityThreshold: parseFloat(annuityThresholdInput.value) || 0,
+      },
+      ticketValuation: ticketValuationSelect.value,
+      estimator: estimatorSelect.value,
+      claimLag: {
+        enabled: claimLagCheckbox.checked,
+        gameAgeDays: parseFloat(claimLagAgeInput.value) || DEFAULT_CLAIM_LAG.gameAgeDays,
+        bands: claimLagBandInputs.map((b) => ({
+          min: b.min,
+          meanDays: parseFloat(b.days.value) || 0,
+          unclaimed: (parseFloat(b.never.value) || 0) / 100,
+        })),
+      },
     };
   }
 
@@ -149,19 +279,108 @@
     return sign + '$' + Math.abs(n).toFixed(4);
   }
 
+  function formatRatio(n) {
+    return isNaN(n) ? '—' : n.toFixed(2);
+  }
+
+  function formatPercent(n) {
+    return isNaN(n) ? '—' : (n * 100).toFixed(1) + '%';
+  }
+
   function formatOdds(n) {
     if (!n || isNaN(n)) return '—';
     return '1 in ' + n.toFixed(2);
   }
 
-  function renderTable() {
+  // Flagged when the launch odds rebuilt from the tier table miss the claim
+  function claimedOddsHtml(r) {
+    const o = r.oddsCheck.overall;
+    const text = escapeHtml(r.claimedOddsText);
+    if (!o.mismatch) return text;
+    return `<span class="badge badge-negative" title="Tier table gives launch odds of 1 in ${o.launch.toFixed(2)}, claimed 1 in ${o.claimed.toFixed(2)}">${text}</span>`;
+  }
+
+  function oddsDriftHtml(check) {
+    const o = check.overall;
+    if (isNaN(o.drift)) return '—';
+    const text = (o.drift > 0 ? '+' : '') + (o.drift * 100).toFixed(1) + '%';
+    return `<span title="Current odds at M ≈ ${Math.round(check.drift.M).toLocaleString()} (${escapeHtml(check.drift.label)})">${text}</span>`;
+  }
+
+  // The full model run for every game: EV, estimator spread, confidence
+  // interval and forecast. Slow on a whole index, so it runs only when the
+  // games or the model options change; filters and sorting reuse the rows.
+  function analyzeGames() {
     const options = getOptions();
-    const results = gamesData
-      .map((g) => computeOverview(g, options))
+    skipped = [];
+    analyzed = gamesData
+      .map((g) => {
+        const issues = validateGame(g);
+        const r = computeOverview(g, options);
+        if (!r) {
+          const error = issues.find((x) => x.level === 'error');
+          skipped.push(`${g.name || g.number || '(unnamed)'}: ${error ? error.message : 'not enough usable tiers.'}`);
+          return null;
+        }
+        const cmp = compareEstimatorsOverview(g, options);
+        const history = histories.get(gameKey(g));
+        const forecast = history ? forecastGame(history, options) : null;
+        const ok = forecast && !forecast.error;
+        return Object.assign(r, {
+          mSpreadPct: cmp.mSpreadPct,
+          evSpread: cmp.evSpread,
+          ci: overviewInterval(g, options),
+          sellOutDate: ok ? forecast.sellOutDate : null,
+          sellOutDays: ok ? forecast.sellOutDays : Infinity, // unknown sorts as latest
+          link: gameLink('index.html', g, options),
+          issues,
+          issueCount: issues.length,
+        });
+      })
       .filter(Boolean);
+    scoreRisk();
+  }
+
+  // Bankroll metrics only need each row's tiers, so the bankroll inputs
+  // redo just these.
+  function scoreRisk() {
+    const riskParams = getRiskParams();
+    for (const r of analyzed) {
+      const util = computeUtility(r.tiers, r.price, riskParams);
+      Object.assign(r, computeRisk(r.tiers, r.price, riskParams), {
+        ceNet: util.ceNet,
+        kellyStake: util.kellyStake,
+      });
+    }
+  }
+
+  const REFRESH_DELAY_MS = 400;
+  let refreshTimer = null;
+
+  function refreshTable() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    analyzeGames();
+    renderTable();
+  }
+
+  // Typing in an option field re-runs the models once the typing pauses,
+  // not on every keystroke.
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => {
+      if (gamesData.length > 0) refreshTable();
+    }, REFRESH_DELAY_MS);
+  }
+
+  // Filters, sorts and draws the analyzed rows.
+  function renderTable() {
+    const results = analyzed;
+    const filters = getFilters();
+    const shown = results.filter((r) => matchesFilters(r, filters));
 
     // Sort
-    results.sort((a, b) => {
+    shown.sort((a, b) => {
       let va = a[sortKey];
       let vb = b[sortKey];
       if (typeof va === 'string') va = va.toLowerCase();
@@ -171,17 +390,21 @@
       return 0;
     });
 
-    gameCountSpan.textContent = `(${results.length} games)`;
+    lastRows = shown;
+    gameCountSpan.textContent = shown.length === results.length
+      ? `(${results.length} games)`
+      : `(${shown.length} of ${results.length} games)`;
     scratchersBody.innerHTML = '';
 
-    for (const r of results) {
+    for (const r of shown) {
       const tr = document.createElement('tr');
 
-      // Delta badge
+      // Delta badge — colored only when the interval excludes zero change
       let badgeClass = 'badge-neutral';
-      let badgePrefix = '';
-      if (r.deltaPercent > 1) { badgeClass = 'badge-positive'; badgePrefix = '+'; }
-      else if (r.deltaPercent < -1) { badgeClass = 'badge-negative'; badgePrefix = ''; }
+      let badgePrefix = r.deltaPercent > 0 ? '+' : '';
+      if (r.ci && excludesZero(r.ci.deltaPercent)) {
+        badgeClass = r.ci.deltaPercent.low > 0 ? 'badge-positive' : 'badge-negative';
+      }
 
       // EV coloring
       const claimedClass = r.claimedEV >= 0 ? 'positive' : 'negative';
@@ -189,20 +412,74 @@
 
       tr.innerHTML = `
         <td>$${r.price}</td>
-        <td><a class="game-link" href="index.html">${escapeHtml(r.name)}</a></td>
+        <td><a class="game-link" href="${r.link}">${escapeHtml(r.name)}</a></td>
         <td>${escapeHtml(r.number)}</td>
-        <td>${escapeHtml(r.claimedOddsText)}</td>
+        <td>${claimedOddsHtml(r)}</td>
         <td>${formatOdds(r.calcOddsVal)}</td>
+        <td>${formatOdds(r.cashOddsVal)}</td>
+        <td>${oddsDriftHtml(r.oddsCheck)}</td>
         <td class="ev-value ${claimedClass}" style="font-size:inherit;font-weight:600">${formatMoney(r.claimedEV)}</td>
-        <td class="ev-value ${calcClass}" style="font-size:inherit;font-weight:600">${formatMoney(r.calcEV)}</td>
-        <td><span class="badge ${badgeClass}">${badgePrefix}${r.deltaPercent.toFixed(1)}%</span></td>
+        <td>${Math.round(r.M).toLocaleString()}${r.ci ? `<span class="ci-text">${Math.round(r.ci.M.low).toLocaleString()} – ${Math.round(r.ci.M.high).toLocaleString()}</span>` : ''}</td>
+        <td class="ev-value ${calcClass}" style="font-size:inherit;font-weight:600">${formatMoney(r.calcEV)}${r.ci ? `<span class="ci-text">${formatMoney(r.ci.calcEV.low)} to ${formatMoney(r.ci.calcEV.high)}</span>` : ''}</td>
+        <td>${r.claimLagEV === null ? '—' : `<span class="ev-value ${r.claimLagEV >= 0 ? 'positive' : 'negative'}" style="font-size:inherit">${formatMoney(r.claimLagEV)}</span>`}</td>
+        <td><span class="badge ${badgeClass}" title="${r.ci ? `${Math.round(r.ci.level * 100)}% CI: ${r.ci.deltaPercent.low.toFixed(1)}% to ${r.ci.deltaPercent.high.toFixed(1)}%` : ''}">${badgePrefix}${r.deltaPercent.toFixed(1)}%</span></td>
+        <td>${r.mSpreadPct.toFixed(1)}%</td>
+        <td>$${r.evSpread.toFixed(4)}</td>
+        <td>$${r.stdDev.toFixed(2)}</td>
+        <td>${formatRatio(r.cv)}</td>
+        <td>${formatPercent(r.topShare)}</td>
+        <td>${formatPercent(r.ruinRisk)}</td>
+        <td>${isNaN(r.ceNet) ? '—' : formatMoney(r.ceNet)}</td>
+        <td>${isNaN(r.kellyStake) ? '—' : '$' + r.kellyStake.toFixed(2)}</td>
+        <td>${r.sellOutDate ? new Date(r.sellOutDate).toLocaleDateString() : '—'}</td>
+        <td class="issue-cell">${r.issueCount ? `<span class="badge ${r.issues.some((x) => x.level === 'error') ? 'badge-negative' : 'badge-neutral'}">${r.issueCount}</span>` : '—'}</td>
+        <td>${r.topTotal ? `${r.topRemaining.toLocaleString()} / ${r.topTotal.toLocaleString()}` : '—'}</td>
+        <td>${formatPercent(r.soldShare)}</td>
+        <td>${formatMoney(r.evPerDollar)}</td>
       `;
+      tr.querySelector('.issue-cell').title = r.issues.map((x) => x.message).join('\n');
       scratchersBody.appendChild(tr);
     }
+    applyColumnVisibility();
+    evScatter.innerHTML = shown.length > 0
+      ? scatterChart(shown.map((r, i) => ({ x: r.price, y: r.calcEV, z: r.deltaPercent, label: r.name, index: i })), {
+        xFormat: (v) => '$' + Math.round(v),
+        yFormat: (v) => (v < 0 ? '-$' : '$') + Math.abs(v).toFixed(2),
+        zFormat: (v) => (v > 0 ? '+' : '') + v.toFixed(1) + '%',
+        zLabels: ['Calc EV below claimed', 'Calc EV above claimed'],
+      })
+      : '';
+    skippedGamesP.textContent = skipped.length > 0
+      ? `Not analyzed (${skipped.length}): ${skipped.join(' · ')}`
+      : '';
 
     resultsSection.style.display = '';
+    optimizerSection.style.display = '';
   }
 
+  // Hovering a dot highlights its game's row; clicking scrolls to it.
+  function linkChartToTable(container, tbody) {
+    let active = null;
+    const mark = (el) => {
+      if (active) active.classList.remove('row-highlight');
+      active = null;
+      const tr = el ? tbody.rows[el.dataset.index] : null;
+      if (tr) {
+        tr.classList.add('row-highlight');
+        active = tr;
+      }
+      return tr;
+    };
+    container.addEventListener('mouseover', (e) => mark(e.target.closest('[data-index]')));
+    container.addEventListener('mouseleave', () => mark(null));
+    container.addEventListener('click', (e) => {
+      const tr = mark(e.target.closest('[data-index]'));
+      if (tr) tr.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    });
+  }
+
+  linkChartToTable(evScatter, scratchersBody);
+
   function escapeHtml(str) {
     const d = document.createElement('div');
     d.textContent = str;
@@ -211,6 +488,7 @@
 
   function showError(msg) {
     resultsSection.style.display = 'none';
+    optimizerSection.style.display = 'none';
     errorSection.style.display = '';
     errorMessage.textContent = msg;
   }
@@ -235,9 +513,327 @@
 
   // --- Option change handlers ---
 
-  ignoreUnder500.addEventListener('change', () => { if (gamesData.length > 0) renderTable(); });
-  applyTax.addEventListener('change', () => { if (gamesData.length > 0) renderTable(); });
-  taxRateInput.addEventListener('input', () => { if (gamesData.length > 0) renderTable(); });
+  ignoreUnder500.addEventListener('change', () => { if (gamesData.length > 0) refreshTable(); });
+  applyTax.addEventListener('change', () => { if (gamesData.length > 0) refreshTable(); });
+  filingStatusSelect.addEventListener('change', () => { if (gamesData.length > 0) refreshTable(); });
+  otherIncomeInput.addEventListener('input', scheduleRefresh);
+  stateRuleSelect.addEventListener('change', () => { if (gamesData.length > 0) refreshTable(); });
+  stateRateInput.addEventListener('input', scheduleRefresh);
+  payoutModeSelect.addEventListener('change', () => { if (gamesData.length > 0) refreshTable(); });
+  cashOptionRatioInput.addEventListener('input', scheduleRefresh);
+  discountRateInput.addEventListener('input', scheduleRefresh);
+  payoutTermInput.addEventListener('input', scheduleRefresh);
+  annuityThresholdInput.addEventListener('input', scheduleRefresh);
+  ticketValuationSelect.addEventListener('change', () => { if (gamesData.length > 0) refreshTable(); });
+  estimatorSelect.addEventListener('change', () => { if (gamesData.length > 0) refreshTable(); });
+  claimLagCheckbox.addEventListener('change', () => { if (gamesData.length > 0) refreshTable(); });
+  claimLagAgeInput.addEventListener('input', scheduleRefresh);
+  claimLagBands.addEventListener('input', scheduleRefresh);
+  bankrollInput.addEventListener('input', () => { if (gamesData.length > 0) { scoreRisk(); renderTable(); } });
+  bankrollTargetInput.addEventListener('input', () => { if (gamesData.length > 0) { scoreRisk(); renderTable(); } });
+  utilityModelSelect.addEventListener('change', () => { if (gamesData.length > 0) { scoreRisk(); renderTable(); } });
+  riskAversionInput.addEventListener('input', () => { if (gamesData.length > 0) { scoreRisk(); renderTable(); } });
+
+  // --- Filter handlers ---
+
+  for (const el of [...Object.values(filterInputs), filterPositiveEv]) {
+    el.addEventListener(el === filterPositiveEv ? 'change' : 'input', () => {
+      saveView();
+      if (gamesData.length > 0) renderTable();
+    });
+  }
+
+  // --- History ---
+
+  const snapshots = createSnapshotStore(window.indexedDB);
+
+  // Saved one game at a time so each save sees the previous one, then the
+  // histories are read back for the "Est. End" column. Failures are ignored;
+  // the rest of the table does not depend on history.
+  async function saveSnapshots(games) {
+    const loaded = new Map();
+    try {
+      for (const g of games) {
+        if (!g || !Array.isArray(g.tiers)) continue;
+        await snapshots.save(g, 'overview');
+        loaded.set(gameKey(g), await snapshots.forGame(gameKey(g)));
+      }
+    } catch (e) {
+      return;
+    }
+    if (games !== gamesData) return;
+    histories = loaded;
+    refreshTable();
+  }
+
+  // --- Bulk import from the scratchers index ---
+
+  proxyInput.value = savedProxy(() => window.localStorage);
+  proxyInput.addEventListener('change', () => saveProxy(() => window.localStorage, proxyInput.value.trim()));
+
+  const BULK_STATUS = {
+    queued: ['Queued', 'badge-neutral'],
+    fetching: ['Fetching', 'badge-neutral'],
+    retrying: ['Retrying', 'badge-neutral'],
+    done: ['Loaded', 'badge-positive'],
+    error: ['Failed', 'badge-negative'],
+  };
+
+  function renderBulkEntry(rows, entry) {
+    let row = rows.get(entry.url);
+    if (!row) {
+      row = { entry, tr: document.createElement('tr') };
+      rows.set(entry.url, row);
+      bulkBody.appendChild(row.tr);
+    }
+    const tr = row.tr;
+    const [label, cls] = BULK_STATUS[entry.status];
+    const detail = entry.game
+      ? `${entry.game.name}${entry.game.number ? ` (#${entry.game.number})` : ''}, ${entry.game.tiers.length} tiers`
+      : entry.error || '';
+    tr.innerHTML = `
+      <td>${escapeHtml(entry.url)}</td>
+      <td><span class="badge ${cls}">${label}</span></td>
+      <td>${entry.attempts}</td>
+      <td>${escapeHtml(detail)}</td>
+    `;
+
+    let done = 0;
+    let failed = 0;
+    for (const r of rows.values()) {
+      if (r.entry.status === 'done') done++;
+      else if (r.entry.status === 'error') failed++;
+    }
+    bulkStatus.textContent = `${done + failed} of ${rows.size} game pages processed: ${done} loaded, ${failed} failed.`;
+  }
+
+  bulkLoadBtn.addEventListener('click', async () => {
+    const indexUrl = indexUrlInput.value.trim();
+    if (!indexUrl) {
+      showError('Please enter the scratchers index URL.');
+      return;
+    }
+
+    bulkLoadBtn.disabled = true;
+    bulkLoadBtn.textContent = 'Loading...';
+    errorSection.style.display = 'none';
+    bulkBody.innerHTML = '';
+    bulkStatus.textContent = 'Fetching the index page...';
+    bulkProgress.style.display = '';
+    const rows = new Map();
+
+    try {
+      const { games } = await loadIndex(indexUrl, createProxyFetcher(proxyInput.value.trim()), null, (entry) => renderBulkEntry(rows, entry));
+      if (games.length === 0) {
+        showError('None of the game pages could be loaded. See the progress table for details.');
+        return;
+      }
+      jsonInput.value = JSON.stringify(games, null, 2);
+      gamesData = games;
+      histories = new Map();
+      refreshTable();
+      saveSnapshots(gamesData);
+    } catch (e) {
+      bulkStatus.textContent = '';
+      showError('Bulk import failed: ' + e.message);
+    } finally {
+      bulkLoadBtn.disabled = false;
+      bulkLoadBtn.textContent = 'Load All Active Games';
+    }
+  });
+
+  // --- CSV / TSV import ---
+
+  let csvRows = [];
+
+  csvFileInput.addEventListener('change', async () => {
+    const file = csvFileInput.files[0];
+    if (!file) return;
+    const text = await file.text();
+    const rows = parseDelimited(text);
+    if (rows.length < 2) {
+      showError('The file needs a header row and at least one tier row.');
+      return;
+    }
+    errorSection.style.display = 'none';
+    const headers = rows[0];
+    csvRows = rows.slice(1);
+    const mapping = guessMapping(headers);
+
+    csvMappingFields.innerHTML = '';
+    for (const f of FIELDS) {
+      const group = document.createElement('div');
+      group.className = 'input-group';
+      const options = headers
+        .map((h, i) => `<option value="${i}"${mapping[f.id] === i ? ' selected' : ''}>${escapeHtml(h || `Column ${i + 1}`)}</option>`)
+        .join('');
+      group.innerHTML = `
+        <label for="csv-map-${f.id}">${escapeHtml(f.label)}</label>
+        <select id="csv-map-${f.id}" data-field="${f.id}">
+          <option value="">— none —</option>
+          ${options}
+        </select>
+      `;
+      csvMappingFields.appendChild(group);
+    }
+    const delim = detectDelimiter(text) === '\t' ? 'tab' : `"${detectDelimiter(text)}"`;
+    csvStatus.textContent = `${csvRows.length} rows, ${headers.length} columns (${delim}-separated).`;
+    csvMapping.style.display = '';
+  });
+
+  csvImportBtn.addEventListener('click', () => {
+    const mapping = {};
+    csvMappingFields.querySelectorAll('select').forEach((sel) => {
+      if (sel.value !== '') mapping[sel.dataset.field] = parseInt(sel.value, 10);
+    });
+    let imported;
+    try {
+      imported = rowsToGames(csvRows, mapping);
+    } catch (e) {
+      showError(e.message);
+      return;
+    }
+    const { games, errors } = imported;
+    const usable = games.filter((g) => g.price > 0);
+    csvStatus.textContent = `Imported ${usable.length} games from ${csvRows.length} rows.` +
+      (errors.length ? ` ${errors.length} problems: ${errors.slice(0, 3).join(' ')}${errors.length > 3 ? ' …' : ''}` : '');
+    if (usable.length === 0) {
+      showError('No complete games found in the file.');
+      return;
+    }
+    errorSection.style.display = 'none';
+    jsonInput.value = JSON.stringify(usable, null, 2);
+    gamesData = usable;
+    histories = new Map();
+    refreshTable();
+    saveSnapshots(gamesData);
+  });
+
+  // --- Budget optimizer ---
+  // Works on the rows shown in the table, so the filters narrow the games
+  // it may choose from.
+
+  function signedDollars(n) {
+    return (n >= 0 ? '+' : '-') + '$' + Math.abs(n).toFixed(2);
+  }
+
+  function chancePercent(p) {
+    return isNaN(p) ? '—' : (p * 100).toFixed(2) + '%';
+  }
+
+  function renderOptimization(plan, prizeAmount, lossPercent) {
+    optAllocationBody.innerHTML = '';
+    for (const a of plan.mix.allocation) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td><a class="game-link" href="${a.row.link}">${escapeHtml(a.row.name)}</a> <span class="help-text">${escapeHtml(a.row.number)}</span></td>
+        <td>$${a.row.price}</td>
+        <td>${a.count}</td>
+        <td>$${a.cost}</td>
+        <td>${signedDollars(a.count * a.row.calcEV)}</td>
+      `;
+      optAllocationBody.appendChild(tr);
+    }
+
+    const best = plan.single.allocation[0];
+    optSingleHead.textContent = best ? `All in ${best.row.name}` : 'Best-EV Game Only';
+    const rows = [
+      ['Tickets', (m) => m.tickets],
+      ['Spent', (m) => '$' + m.spent],
+      ['Expected return', (m) => signedDollars(m.ev)],
+      [`Chance of a $${prizeAmount}+ prize`, (m) => chancePercent(m.prizeChance)],
+      [`Chance of losing more than ${lossPercent}%`, (m) => chancePercent(m.lossChance)],
+    ];
+    optCompareBody.innerHTML = '';
+    for (const [label, value] of rows) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td>${escapeHtml(label)}</td><td>${value(plan.mix)}</td><td>${value(plan.single)}</td>`;
+      optCompareBody.appendChild(tr);
+    }
+    optResults.style.display = '';
+  }
+
+  optBtn.addEventListener('click', () => {
+    const price = (el) => (el.value.trim() === '' ? undefined : parseFloat(el.value));
+    const budget = parseFloat(optBudgetInput.value) || 0;
+    const prizeAmount = parseFloat(optPrizeInput.value) || 0;
+    const lossPercent = parseFloat(optLossInput.value) || 0;
+    const plan = optimizeBudget(lastRows, budget, {
+      id: optGoalSelect.value,
+      prizeAmount,
+      lossPercent,
+    }, {
+      minPrice: price(optMinPriceInput),
+      maxPrice: price(optMaxPriceInput),
+    });
+
+    if (plan.error) {
+      optResults.style.display = 'none';
+      optStatus.textContent = plan.error;
+      return;
+    }
+    optStatus.textContent = `Chose from ${plan.games} game${plan.games === 1 ? '' : 's'}.` +
+      (plan.unpriced.length > 0
+        ? ` Left out (price not a whole dollar): ${plan.unpriced.map((r) => r.name).join(', ')}.`
+        : '');
+    renderOptimization(plan, prizeAmount, lossPercent);
+  });
+
+  // --- CSV export ---
+
+  const EXPORT_COLUMNS = [
+    ['Price', (r) => r.price],
+    ['Game', (r) => r.name],
+    ['Number', (r) => r.number],
+    ['Claimed Odds', (r) => r.claimedOddsText],
+    ['Calc Odds', (r) => r.calcOddsVal],
+    ['Current Cash Odds', (r) => r.cashOddsVal],
+    ['Odds Drift %', (r) => r.oddsDrift],
+    ['Drift M', (r) => Math.round(r.oddsDriftM)],
+    ['Launch Odds (from tiers)', (r) => r.oddsCheck.overall.launch],
+    ['Claimed EV', (r) => r.claimedEV],
+    ['Est. Remaining', (r) => Math.round(r.M)],
+    ['Est. Remaining Low', (r) => (r.ci ? Math.round(r.ci.M.low) : '')],
+    ['Est. Remaining High', (r) => (r.ci ? Math.round(r.ci.M.high) : '')],
+    ['Calc EV', (r) => r.calcEV],
+    ['Calc EV Low', (r) => (r.ci ? r.ci.calcEV.low : '')],
+    ['Calc EV High', (r) => (r.ci ? r.ci.calcEV.high : '')],
+    ['Claim-Lag EV', (r) => (r.claimLagEV === null ? '' : r.claimLagEV)],
+    ['EV Delta %', (r) => r.deltaPercent],
+    ['M Spread %', (r) => r.mSpreadPct],
+    ['EV Range', (r) => r.evSpread],
+    ['Std Dev', (r) => r.stdDev],
+    ['CV', (r) => r.cv],
+    ['Top-3 EV Share', (r) => r.topShare],
+    ['Ruin Risk', (r) => r.ruinRisk],
+    ['Certainty Equivalent', (r) => r.ceNet],
+    ['Kelly Stake', (r) => r.kellyStake],
+    ['Est. End', (r) => r.sellOutDate || ''],
+    ['Issues', (r) => r.issues.map((x) => x.message).join(' | ')],
+    ['Top Prizes Left', (r) => r.topRemaining],
+    ['Top Prizes Total', (r) => r.topTotal],
+    ['Sold', (r) => r.soldShare],
+    ['EV per $', (r) => r.evPerDollar],
+  ];
+
+  function downloadFile(filename, text, type) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type }));
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  exportCsvBtn.addEventListener('click', () => {
+    if (lastRows.length === 0) return;
+    const risk = getRiskParams();
+    const meta = [
+      `All Scratchers export, ${new Date().toISOString()}`,
+      ...optionsHeader(getOptions()),
+      `Ruin risk bankroll: $${risk.bankroll}, target: $${risk.target}`,
+    ];
+    downloadFile(`scratchers-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(EXPORT_COLUMNS, lastRows, meta), 'text/csv');
+  });
 
   // --- Load JSON ---
 
@@ -250,8 +846,10 @@
     try {
       const parsed = JSON.parse(raw);
       gamesData = Array.isArray(parsed) ? parsed : [parsed];
+      histories = new Map();
       errorSection.style.display = 'none';
-      renderTable();
+      refreshTable();
+      saveSnapshots(gamesData);
     } catch (e) {
       showError('Invalid JSON: ' + e.message);
     }
@@ -361,7 +959,8 @@
   loadSampleBtn.addEventListener('click', () => {
     jsonInput.value = JSON.stringify(SAMPLE_DATA, null, 2);
     gamesData = SAMPLE_DATA;
+    histories = new Map();
     errorSection.style.display = 'none';
-    renderTable();
+    refreshTable();
   });
 })();
@@ -3,8 +3,36 @@
 (function () {
   'use strict';
 
+  const {
+    parseCurrency,
+    parsePrizeValue,
+    parseOdds,
+    parseRemainingOfTotal,
+    isTicketTier,
+    parseCalotteryHtml,
+    computeEV,
+    compareEstimatorsEV,
+    computeHitOdds,
+    formatNum,
+  } = window.ScratcherEngine;
+  const { listEstimators } = window.ScratcherEstimators;
+  const { buildPool, simulate } = window.ScratcherSimulator;
+  const { computeRisk } = window.ScratcherRisk;
+  const { MODELS: UTILITY_MODELS, computeUtility } = window.ScratcherUtility;
+  const { evInterval } = window.ScratcherUncertainty;
+  const { createSnapshotStore, gameKey } = window.ScratcherSnapshots;
+  const { forecastGame } = window.ScratcherForecast;
+  const { createProxyFetcher, fetchGame, savedProxy, saveProxy } = window.ScratcherLoader;
+  const { toCsv, optionsHeader } = window.ScratcherCsv;
+  const { gameLink, decodeGame, fromHash } = window.ScratcherPermalink;
+  const { validateGame } = window.ScratcherValidate;
+  const { DEFAULT_CLAIM_LAG } = window.ScratcherClaimLag;
+  const { barChart, tornadoChart } = window.ScratcherCharts;
+  const { DEFAULT_SWING, whatIf, topPrizeWhatIf, sweepM, rankInputs } = window.ScratcherSensitivity;
+
   // --- DOM refs ---
   const urlInput = document.getElementById('game-url');
+  const proxyInput = document.getElementById('proxy-url');
   const fetchBtn = document.getElementById('fetch-btn');
   const calcBtn = document.getElementById('calc-btn');
   const addTierBtn = document.getElementById('add-tier-btn');
@@ -12,21 +40,124 @@
   const resultsSection = document.getElementById('results-section');
   const errorSection = document.getElementById('error-section');
   const errorMessage = document.getElementById('error-message');
+  const validationSection = document.getElementById('validation-section');
+  const validationCount = document.getElementById('validation-count');
+  const validationList = document.getElementById('validation-list');
   const metadataDiv = document.getElementById('metadata');
   const evResultDiv = document.getElementById('ev-result');
+  const riskDiv = document.getElementById('risk-metrics');
+  const utilityDiv = document.getElementById('utility-metrics');
+  const oddsCheckBody = document.getElementById('odds-check-body');
+  const oddsCheckNote = document.getElementById('odds-check-note');
   const prizeTableBody = document.getElementById('prize-table-body');
+  const contributionChart = document.getElementById('contribution-chart');
+  const compositionChart = document.getElementById('composition-chart');
+  const outcomeChart = document.getElementById('outcome-chart');
+  const estimatorTableBody = document.getElementById('estimator-table-body');
+  const estimatorSpread = document.getElementById('estimator-spread');
+  const forecastSummary = document.getElementById('forecast-summary');
+  const forecastDetails = document.getElementById('forecast-details');
+  const forecastMetrics = document.getElementById('forecast-metrics');
+  const forecastTierBody = document.getElementById('forecast-tier-body');
+  const forecastEvBody = document.getElementById('forecast-ev-body');
   const mathExampleDiv = document.getElementById('math-example');
+  const taxBreakdownDiv = document.getElementById('tax-breakdown');
+  const taxTableBody = document.getElementById('tax-table-body');
+  const hitTicketsInput = document.getElementById('hit-tickets');
+  const hitNLabel = document.getElementById('hit-n-label');
+  const exportPrizeCsvBtn = document.getElementById('export-prize-csv-btn');
+  const copyLinkBtn = document.getElementById('copy-link-btn');
   const ignoreUnder500 = document.getElementById('ignore-under-500');
   const applyTax = document.getElementById('apply-tax');
-  const taxRateInput = document.getElementById('tax-rate');
+  const filingStatusSelect = document.getElementById('filing-status');
+  const otherIncomeInput = document.getElementById('other-income');
+  const stateRuleSelect = document.getElementById('state-rule');
+  const stateRateInput = document.getElementById('state-rate');
+  const payoutModeSelect = document.getElementById('payout-mode');
+  const cashOptionRatioInput = document.getElementById('cash-option-ratio');
+  const discountRateInput = document.getElementById('discount-rate');
+  const payoutTermInput = document.getElementById('payout-term');
+  const annuityThresholdInput = document.getElementById('annuity-threshold');
+  const ticketValuationSelect = document.getElementById('ticket-valuation');
+  const estimatorSelect = document.getElementById('estimator');
+  const claimLagCheckbox = document.getElementById('claim-lag');
+  const claimLagAgeInput = document.getElementById('claim-lag-age');
+  const claimLagBands = document.getElementById('claim-lag-bands');
+  const bankrollInput = document.getElementById('bankroll');
+  const bankrollTargetInput = document.getElementById('bankroll-target');
+  const utilityModelSelect = document.getElementById('utility-model');
+  const riskAversionInput = document.getElementById('risk-aversion');
   const gameNameInput = document.getElementById('game-name');
   const gameNumberInput = document.getElementById('game-number');
   const ticketPriceInput = document.getElementById('ticket-price');
   const claimedOddsInput = document.getElementById('claimed-odds');
   const claimedCashOddsInput = document.getElementById('claimed-cash-odds');
+  const sensitivitySection = document.getElementById('sensitivity-section');
+  const sensitivitySummary = document.getElementById('sensitivity-summary');
+  const whatIfMInput = document.getElementById('what-if-m');
+  const whatIfMLabel = document.getElementById('what-if-m-label');
+  const whatIfTopInput = document.getElementById('what-if-top');
+  const whatIfTopName = document.getElementById('what-if-top-name');
+  const whatIfTopLabel = document.getElementById('what-if-top-label');
+  const whatIfEv = document.getElementById('what-if-ev');
+  const whatIfResetBtn = document.getElementById('what-if-reset');
+  const mSweepBody = document.getElementById('m-sweep-body');
+  const swingInput = document.getElementById('sensitivity-swing');
+  const swingLabel = document.getElementById('sensitivity-swing-label');
+  const tornadoDiv = document.getElementById('tornado-chart');
+  const simSection = document.getElementById('sim-section');
+  const simTicketsInput = document.getElementById('sim-tickets');
+  const simTrialsInput = document.getElementById('sim-trials');
+  const simThresholdInput = document.getElementById('sim-threshold');
+  const simSeedInput = document.getElementById('sim-seed');
+  const simBtn = document.getElementById('sim-btn');
+  const simStatus = document.getElementById('sim-status');
+  const simResultsDiv = document.getElementById('sim-results');
+  const simSummaryDiv = document.getElementById('sim-summary');
+  const simPercentilesBody = document.getElementById('sim-percentiles-body');
+
+  // --- Estimator choices ---
+
+  for (const e of listEstimators()) {
+    const opt = document.createElement('option');
+    opt.value = e.id;
+    opt.textContent = e.label;
+    estimatorSelect.appendChild(opt);
+  }
+  estimatorSelect.value = 'ticket-anchor';
+
+  for (const m of UTILITY_MODELS) {
+    const opt = document.createElement('option');
+    opt.value = m.id;
+    opt.textContent = m.label;
+    utilityModelSelect.appendChild(opt);
+  }
+
+  // --- Claim-lag bands ---
+
+  const claimLagBandInputs = DEFAULT_CLAIM_LAG.bands.map((band, i, bands) => {
+    const input = (value, step) => {
+      const el = document.createElement('input');
+      el.type = 'number';
+      el.min = '0';
+      el.step = String(step);
+      el.value = value;
+      el.className = 'inline-input';
+      return el;
+    };
+    const days = input(band.meanDays, 1);
+    const never = input(band.unclaimed * 100, 0.5);
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const range = i === 0 && bands[1] ? `Under $${bands[1].min.toLocaleString()}` : `$${band.min.toLocaleString()}+`;
+    label.append(`${range}: claimed after `, days, ' days on average, never ', never, '%');
+    claimLagBands.appendChild(label);
+    return { min: band.min, days, never };
+  });
 
   // --- CORS proxy ---
-  const CORS_PROXY = 'https://api.allorigins.win/raw?url=';
+  proxyInput.value = savedProxy(() => window.localStorage);
+  proxyInput.addEventListener('change', () => saveProxy(() => window.localStorage, proxyInput.value.trim()));
 
   // --- Tier management ---
   let tierCount = 0;
@@ -39,22 +170,29 @@
     row.innerHTML = `
       <div class="input-group">
         <label>Prize</label>
-        <input type="text" class="tier-prize" placeholder="$1,000 or Ticket" value="${data ? data.prize : ''}" />
+        <input type="text" class="tier-prize" placeholder="$1,000 or Ticket" />
       </div>
       <div class="input-group">
         <label>Odds (1 in N)</label>
-        <input type="text" class="tier-odds" placeholder="e.g. 4.25" value="${data ? data.odds : ''}" />
+        <input type="text" class="tier-odds" placeholder="e.g. 4.25" />
       </div>
       <div class="input-group">
         <label>Remaining</label>
-        <input type="number" class="tier-remaining" placeholder="0" min="0" value="${data ? data.remaining : ''}" />
+        <input type="number" class="tier-remaining" placeholder="0" min="0" />
       </div>
       <div class="input-group">
         <label>Total</label>
-        <input type="number" class="tier-total" placeholder="0" min="0" value="${data ? data.total : ''}" />
+        <input type="number" class="tier-total" placeholder="0" min="0" />
       </div>
       <button class="btn btn-danger" onclick="this.parentElement.remove()">X</button>
     `;
+    // Values are set as properties: they may come from a shared link
+    if (data) {
+      row.querySelector('.tier-prize').value = data.prize;
+      row.querySelector('.tier-odds').value = data.odds;
+      row.querySelector('.tier-remaining').value = data.remaining;
+      row.querySelector('.tier-total').value = data.total;
+    }
     tierContainer.appendChild(row);
     return row;
   }
@@ -64,157 +202,32 @@
   // Seed 3 empty rows
   for (let i = 0; i < 3; i++) createTierRow();
 
-  // --- Parsing helpers ---
-
-  function parseCurrency(str) {
-    if (typeof str === 'number') return str;
-    if (!str) return NaN;
-    const cleaned = String(str).replace(/[$,\s]/g, '');
-    return parseFloat(cleaned);
-  }
-
-  function parseOdds(str) {
-    if (typeof str === 'number') return str;
-    if (!str) return NaN;
-    const s = String(str).trim();
-    // Match "1 in N" or just "N"
-    const m = s.match(/1\s+in\s+([\d,.]+)/i);
-    if (m) return parseCurrency(m[1]);
-    return parseCurrency(s);
-  }
-
-  function parseRemainingOfTotal(str) {
-    // "X of Y" pattern
-    const m = String(str).trim().match(/([\d,]+)\s+of\s+([\d,]+)/i);
-    if (m) {
-      return {
-        remaining: parseInt(m[1].replace(/,/g, ''), 10),
-        total: parseInt(m[2].replace(/,/g, ''), 10),
-      };
-    }
-    return null;
-  }
-
-  function isTicketTier(prizeLabel) {
-    const s = String(prizeLabel).trim().toLowerCase();
-    return s === 'ticket' || s === 'free ticket' || s.includes('free ticket');
-  }
-
-  // --- HTML parsing for CA Lottery pages ---
-
-  function parseCalotteryHtml(html) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-
-    const game = {
-      name: '',
-      number: '',
-      ticketPrice: 0,
-      claimedOdds: '',
-      claimedCashOdds: '',
-      tiers: [],
-    };
-
-    // Title — e.g. "$pring Green (1710)"
-    const titleEl = doc.querySelector('h1') || doc.querySelector('title');
-    if (titleEl) {
-      const t = titleEl.textContent.trim();
-      game.name = t;
-      const numMatch = t.match(/\((\d+)\)/);
-      if (numMatch) {
-        game.number = numMatch[1];
-        game.name = t.replace(/\s*\(\d+\)/, '').trim();
-      }
-    }
-
-    // Try to extract ticket price from URL path or page content
-    const priceMatch = html.match(/\$(\d+)\s*(?:scratchers|scratcher|ticket)/i) ||
-      html.match(/Price[:\s]*\$(\d+)/i);
-    if (priceMatch) {
-      game.ticketPrice = parseInt(priceMatch[1], 10);
-    }
-
-    // Overall and cash odds from page text
-    const oddsPatterns = html.match(/(?:Overall\s+)?[Oo]dds[:\s]*1\s+in\s+([\d,.]+)/g);
-    if (oddsPatterns) {
-      game.claimedOdds = oddsPatterns[0];
-      if (oddsPatterns.length > 1) {
-        game.claimedCashOdds = oddsPatterns[1];
-      }
-    }
-
-    // Prize table: look for table rows containing prize data
-    // The CA Lottery page has tables with: Prize | Odds 1 in | Prizes Remaining (X of Y)
-    const tables = doc.querySelectorAll('table');
-    for (const table of tables) {
-      const rows = table.querySelectorAll('tr');
-      for (const row of rows) {
-        const cells = row.querySelectorAll('td');
-        if (cells.length >= 3) {
-          const prizeText = cells[0].textContent.trim();
-          const oddsText = cells[1].textContent.trim();
-          const remainingText = cells[2].textContent.trim();
-
-          const parsedRemaining = parseRemainingOfTotal(remainingText);
-          const oddsVal = parseOdds(oddsText);
-          const prizeVal = parseCurrency(prizeText);
-
-          if (parsedRemaining && !isNaN(oddsVal)) {
-            game.tiers.push({
-              prize: prizeText,
-              value: isTicketTier(prizeText) ? NaN : prizeVal, // NaN sentinel for ticket tier
-              isTicket: isTicketTier(prizeText),
-              odds: oddsVal,
-              remaining: parsedRemaining.remaining,
-              total: parsedRemaining.total,
-            });
-          }
-        }
-      }
-    }
-
-    // If no table found, try parsing from raw text patterns
-    if (game.tiers.length === 0) {
-      const textContent = doc.body ? doc.body.textContent : html;
-      // Look for repeated patterns like "$X,XXX | 1 in Y | Z of W" or similar
-      const tierRegex = /(\$[\d,]+|Ticket)\s*[|\t]+\s*(?:1\s+in\s+)?([\d,]+(?:\.\d+)?)\s*[|\t]+\s*([\d,]+)\s+of\s+([\d,]+)/gi;
-      let match;
-      while ((match = tierRegex.exec(textContent)) !== null) {
-        const prizeText = match[1];
-        const oddsVal = parseCurrency(match[2]);
-        const remaining = parseInt(match[3].replace(/,/g, ''), 10);
-        const total = parseInt(match[4].replace(/,/g, ''), 10);
-        game.tiers.push({
-          prize: prizeText,
-          value: isTicketTier(prizeText) ? NaN : parseCurrency(prizeText),
-          isTicket: isTicketTier(prizeText),
-          odds: oddsVal,
-          remaining,
-          total,
-        });
-      }
+  // Populate manual fields and tier rows for reference. Every field is
+  // written, blank when the game lacks it, so nothing carries over from the
+  // game shown before.
+  function fillForm(game) {
+    gameNameInput.value = game.name || '';
+    gameNumberInput.value = game.number || '';
+    ticketPriceInput.value = game.ticketPrice || '';
+    claimedOddsInput.value = game.claimedOdds || '';
+    claimedCashOddsInput.value = game.claimedCashOdds || '';
+
+    tierContainer.innerHTML = '';
+    tierCount = 0;
+    for (const t of game.tiers) {
+      createTierRow({
+        prize: t.prize,
+        odds: String(t.odds),
+        remaining: t.remaining,
+        total: t.total,
+      });
     }
-
-    return game;
   }
 
   // --- Fetch game data from URL ---
 
-  async function fetchGameData(url) {
-    // Extract ticket price from URL path: /scratchers/$20/... -> 20
-    const urlPriceMatch = url.match(/\/scratchers\/\$(\d+)\//i);
-    let urlPrice = urlPriceMatch ? parseInt(urlPriceMatch[1], 10) : 0;
-
-    const proxied = CORS_PROXY + encodeURIComponent(url);
-    const resp = await fetch(proxied);
-    if (!resp.ok) throw new Error(`Failed to fetch page (HTTP ${resp.status})`);
-    const html = await resp.text();
-
-    const game = parseCalotteryHtml(html);
-    if (urlPrice && !game.ticketPrice) {
-      game.ticketPrice = urlPrice;
-    }
-    return game;
+  function fetchGameData(url) {
+    return fetchGame(url, createProxyFetcher(proxyInput.value.trim()));
   }
 
   // --- Collect manual input ---
@@ -227,142 +240,80 @@
       claimedOdds: claimedOddsInput.value.trim(),
       claimedCashOdds: claimedCashOddsInput.value.trim(),
       tiers: [],
+      inputIssues: [], // partly filled rows left out, for the data-quality report
     };
 
     const rows = tierContainer.querySelectorAll('.tier-row');
-    for (const row of rows) {
+    rows.forEach((row, i) => {
       const prizeText = row.querySelector('.tier-prize').value.trim();
       const oddsText = row.querySelector('.tier-odds').value.trim();
-      const remaining = parseInt(row.querySelector('.tier-remaining').value, 10);
-      const total = parseInt(row.querySelector('.tier-total').value, 10);
-
-      if (!prizeText || isNaN(remaining)) continue;
+      const remainingText = row.querySelector('.tier-remaining').value.trim();
+      const totalText = row.querySelector('.tier-total').value.trim();
+      const remaining = parseInt(remainingText, 10);
+      const total = parseInt(totalText, 10);
+
+      if (!prizeText || isNaN(remaining)) {
+        if (prizeText || oddsText || remainingText || totalText) {
+          game.inputIssues.push({
+            level: 'error',
+            message: `Row ${i + 1} left out: it needs ${!prizeText ? 'a prize' : 'a remaining count'}.`,
+          });
+        }
+        return;
+      }
 
       game.tiers.push({
         prize: prizeText,
-        value: isTicketTier(prizeText) ? NaN : parseCurrency(prizeText),
+        value: isTicketTier(prizeText) ? NaN : parsePrizeValue(prizeText),
         isTicket: isTicketTier(prizeText),
         odds: parseOdds(oddsText),
         remaining,
         total: isNaN(total) ? remaining : total,
       });
-    }
+    });
 
     return game;
   }
 
-  // --- EV computation engine ---
-
-  function computeEV(game, options) {
-    const { ignoreUnder500: ignore500, applyTax: doTax, taxRate } = options;
-    const ticketPrice = game.ticketPrice;
-    const tiers = game.tiers;
-
-    if (!ticketPrice || tiers.length === 0) {
-      return { error: 'Need ticket price and at least one prize tier.' };
-    }
-
-    // Resolve ticket-tier value
-    for (const t of tiers) {
-      if (t.isTicket) t.value = ticketPrice;
-    }
-
-    // --- Estimate total remaining tickets (M) ---
-    // Method A: ticket-tier anchor
-    let M = null;
-    let method = '';
-    const ticketTier = tiers.find((t) => t.isTicket && t.total > 0 && t.remaining > 0 && !isNaN(t.odds));
-    if (ticketTier) {
-      const M0 = ticketTier.total * ticketTier.odds;
-      const f = ticketTier.remaining / ticketTier.total;
-      M = M0 * f;
-      method = 'Ticket-tier anchor';
-    }
-
-    // Method B fallback: median of tier-implied ticket counts
-    if (!M || M <= 0) {
-      const estimates = tiers
-        .filter((t) => t.remaining > 0 && !isNaN(t.odds) && t.odds > 0)
-        .map((t) => t.remaining * t.odds);
-      if (estimates.length > 0) {
-        estimates.sort((a, b) => a - b);
-        const mid = Math.floor(estimates.length / 2);
-        M = estimates.length % 2 === 0
-          ? (estimates[mid - 1] + estimates[mid]) / 2
-          : estimates[mid];
-        method = 'Median fallback';
-      }
-    }
-
-    if (!M || M <= 0) {
-      return { error: 'Unable to estimate total remaining tickets.' };
-    }
-
-    // Compute per-tier data
-    const tierResults = [];
-    let evGross = 0;
-
-    for (const t of tiers) {
-      const p = t.remaining / M;
-      let adjusted = t.value;
-
-      // Ignore under $500
-      if (ignore500 && !t.isTicket && adjusted > 0 && adjusted < 500) {
-        adjusted = 0;
-      }
-
-      // Apply tax to monetary prizes
-      if (doTax && !t.isTicket && adjusted > 0) {
-        adjusted = adjusted * (1 - taxRate / 100);
-      }
-
-      const contribution = p * adjusted;
-      evGross += contribution;
-
-      tierResults.push({
-        prize: t.prize,
-        value: t.value,
-        oddsText: t.odds ? `1 in ${formatNum(t.odds)}` : '—',
-        remaining: t.remaining,
-        total: t.total,
-        parsedN: t.odds,
-        tierTicketEst: t.remaining * (t.odds || 0),
-        probability: p,
-        adjustedValue: adjusted,
-        evContribution: contribution,
-        isTicket: t.isTicket,
-      });
-    }
-
-    const evNet = evGross - ticketPrice;
-
-    return {
-      ticketPrice,
-      M,
-      method,
-      evGross,
-      evNet,
-      tiers: tierResults,
-    };
-  }
-
   // --- Formatting helpers ---
 
-  function formatNum(n, decimals) {
-    if (typeof decimals === 'number') return n.toFixed(decimals);
-    if (Number.isInteger(n)) return n.toLocaleString();
-    return n.toLocaleString(undefined, { maximumFractionDigits: 2 });
-  }
-
   function formatMoney(n, decimals) {
     const d = typeof decimals === 'number' ? decimals : 2;
     return '$' + Math.abs(n).toFixed(d);
   }
 
+  function signedMoney(n, decimals) {
+    return (n >= 0 ? '+' : '-') + formatMoney(n, decimals);
+  }
+
   function formatPct(n) {
     return (n * 100).toFixed(6) + '%';
   }
 
+  // Effective count for a tier whose winners are likely still unclaimed
+  function lagNote(lag, i) {
+    if (!lag || !(lag.tiers[i].pending >= 0.005)) return '';
+    return ` <span class="help-text" title="About ${formatNum(+lag.tiers[i].pending.toFixed(2))} won but not yet claimed">` +
+      `(≈${formatNum(+lag.tiers[i].remaining.toFixed(2))} after claim lag)</span>`;
+  }
+
+  // --- Data quality ---
+
+  // Runs before the engines, which treat ticket tiers' values as their own.
+  function showValidation(game, url) {
+    const issues = (game.inputIssues || []).concat(validateGame(game, { url }));
+    validationList.innerHTML = '';
+    for (const issue of issues) {
+      const li = document.createElement('li');
+      li.className = 'issue-' + issue.level;
+      li.textContent = (issue.level === 'error' ? 'Error: ' : 'Warning: ') + issue.message;
+      validationList.appendChild(li);
+    }
+    const errors = issues.filter((x) => x.level === 'error').length;
+    validationCount.textContent = `(${errors} error${errors === 1 ? '' : 's'}, ${issues.length - errors} warning${issues.length - errors === 1 ? '' : 's'})`;
+    validationSection.style.display = issues.length > 0 ? '' : 'none';
+  }
+
   // --- Render results ---
 
   function renderResults(game, result) {
@@ -373,6 +324,10 @@
 
     errorSection.style.display = 'none';
     resultsSection.style.display = '';
+    sensitivitySection.style.display = '';
+    simSection.style.display = '';
+    lastResult = result;
+    updateLink(game);
 
     // Metadata
     let metaHtml = '';
@@ -381,8 +336,22 @@
     metaHtml += metaItem('Ticket Price', formatMoney(game.ticketPrice));
     if (game.claimedOdds) metaHtml += metaItem('Claimed Overall Odds', game.claimedOdds);
     if (game.claimedCashOdds) metaHtml += metaItem('Claimed Cash Odds', game.claimedCashOdds);
+    const ci = evInterval(game, getOptions());
+    const ciLabel = ci ? `${Math.round(ci.level * 100)}% CI` : '';
     metaHtml += metaItem('Est. Remaining Tickets', formatNum(Math.round(result.M)));
+    if (ci) {
+      metaHtml += metaItem(`Remaining Tickets ${ciLabel}`,
+        `${formatNum(Math.round(ci.M.low))} – ${formatNum(Math.round(ci.M.high))}`);
+    }
     metaHtml += metaItem('Estimation Method', result.method);
+
+    const hitOdds = computeHitOdds(result, getHitTickets());
+    if (hitOdds.topPrize) {
+      metaHtml += metaItem(
+        `Expected Tickets to First ${hitOdds.topPrize}`,
+        isFinite(hitOdds.ticketsToFirstTop) ? formatNum(Math.round(hitOdds.ticketsToFirstTop)) : 'None remaining'
+      );
+    }
     metadataDiv.innerHTML = metaHtml;
 
     // EV display
@@ -394,25 +363,101 @@
         ${isPositive ? '+' : '-'}${formatMoney(result.evNet, 4)}
       </div>
       <div class="ev-sub">Gross EV: ${formatMoney(result.evGross, 4)} | Ticket Cost: ${formatMoney(result.ticketPrice)}</div>
+      ${ci ? `<div class="ev-sub">${ciLabel}: ${signedMoney(ci.evNet.low, 4)} to ${signedMoney(ci.evNet.high, 4)}</div>` : ''}
+      ${result.claimLag ? `<div class="ev-sub">Claim-lag adjusted: ${signedMoney(result.claimLag.evNet, 4)} net ` +
+        `(${signedMoney(result.claimLag.evNet - result.evNet, 4)} vs. posted counts)</div>` : ''}
     `;
 
+    renderOddsCheck(result.oddsCheck);
+
+    // Volatility
+    const riskParams = getRiskParams();
+    const risk = computeRisk(result.tiers, result.ticketPrice, riskParams);
+    let riskHtml = '';
+    riskHtml += metaItem('Std. Dev. per Ticket', formatMoney(risk.stdDev, 4));
+    riskHtml += metaItem('Variance per Ticket', formatNum(risk.variance, 4));
+    riskHtml += metaItem('Coefficient of Variation', isNaN(risk.cv) ? '—' : formatNum(risk.cv, 2));
+    riskHtml += metaItem(`Top-${risk.topTierCount} Tier EV Share`, isNaN(risk.topShare) ? '—' : (risk.topShare * 100).toFixed(2) + '%');
+    riskHtml += metaItem(
+      `Risk of Ruin (${formatMoney(riskParams.bankroll, 0)} → ${formatMoney(riskParams.target, 0)})`,
+      isNaN(risk.ruinRisk) ? '—' : (risk.ruinRisk * 100).toFixed(2) + '%'
+    );
+    riskDiv.innerHTML = riskHtml;
+
+    // Utility
+    const util = computeUtility(result.tiers, result.ticketPrice, riskParams);
+    const money = (n) => (isNaN(n) ? '—' : signedMoney(n, 4));
+    const modelLabel = util.model === 'crra' ? `CRRA, γ = ${formatNum(util.gamma)}` : 'Log';
+    let utilHtml = '';
+    utilHtml += metaItem(`Certainty Equivalent (${modelLabel})`, isNaN(util.certaintyEquivalent) ? '—' : formatMoney(util.certaintyEquivalent, 4));
+    utilHtml += metaItem('Certainty Equivalent, Net', money(util.ceNet));
+    utilHtml += metaItem('Risk Premium vs. EV', isNaN(util.riskPremium) ? '—' : formatMoney(util.riskPremium, 4));
+    utilHtml += metaItem('Kelly Stake', isNaN(util.kellyStake) ? '—'
+      : `${formatMoney(util.kellyStake)} (${formatNum(util.kellyTickets)} tickets)`);
+    if (util.model === 'crra') {
+      utilHtml += metaItem('Utility-Optimal Stake', isNaN(util.optimalStake) ? '—'
+        : `${formatMoney(util.optimalStake)} (${formatNum(util.optimalTickets)} tickets)`);
+    }
+    utilityDiv.innerHTML = utilHtml;
+
+    // Estimator comparison
+    const cmp = compareEstimatorsEV(game, getOptions());
+    estimatorTableBody.innerHTML = '';
+    for (const row of cmp.rows) {
+      const tr = document.createElement('tr');
+      const diff = (row.M - result.M) / result.M;
+      tr.innerHTML = `
+        <td>${escapeHtml(row.label)}${row.id === result.estimator ? ' (selected)' : ''}</td>
+        <td>${formatNum(Math.round(row.M))}</td>
+        <td>${row.ev >= 0 ? '+' : '-'}${formatMoney(row.ev, 4)}</td>
+        <td>${diff >= 0 ? '+' : ''}${(diff * 100).toFixed(2)}%</td>
+      `;
+      estimatorTableBody.appendChild(tr);
+    }
+    estimatorSpread.textContent = `Spread across estimators: M ${formatNum(Math.round(cmp.mSpread))} ` +
+      `(${cmp.mSpreadPct.toFixed(2)}% of mean), net EV ${formatMoney(cmp.evSpread, 4)}`;
+
+    renderForecast();
+    renderSensitivity(game, result);
+
     // Prize table
     prizeTableBody.innerHTML = '';
-    for (const t of result.tiers) {
+    hitNLabel.textContent = formatNum(hitOdds.n);
+    result.tiers.forEach((t, i) => {
       const tr = document.createElement('tr');
       tr.innerHTML = `
         <td>${escapeHtml(t.prize)}</td>
         <td>${t.oddsText}</td>
-        <td>${formatNum(t.remaining)}</td>
+        <td>${formatNum(t.remaining)}${lagNote(result.claimLag, i)}</td>
         <td>${formatNum(t.total)}</td>
         <td>${formatNum(t.parsedN)}</td>
         <td>${formatNum(Math.round(t.tierTicketEst))}</td>
         <td>${formatPct(t.probability)}</td>
+        <td>${formatPct(hitOdds.tiers[i])}</td>
         <td>${formatMoney(t.adjustedValue)}</td>
         <td>${t.evContribution >= 0 ? '+' : '-'}${formatMoney(t.evContribution, 4)}</td>
       `;
       prizeTableBody.appendChild(tr);
+    });
+    renderPrizeCharts(result);
+
+    // Tax breakdown
+    const taxedTiers = result.tiers.filter((t) => t.tax);
+    taxTableBody.innerHTML = '';
+    for (const t of taxedTiers) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${escapeHtml(t.prize)}${t.tax.basis === 'lump' ? '' : ` (${t.tax.basis})`}</td>
+        <td>${formatMoney(t.tax.withholding.federal)}</td>
+        <td>${formatMoney(t.tax.withholding.state)}</td>
+        <td>${formatMoney(t.tax.liability.federal)}</td>
+        <td>${formatMoney(t.tax.liability.state)}</td>
+        <td>${t.tax.dueAtFiling >= 0 ? '' : '-'}${formatMoney(t.tax.dueAtFiling)}</td>
+        <td>${formatMoney(t.tax.net)}</td>
+      `;
+      taxTableBody.appendChild(tr);
     }
+    taxBreakdownDiv.style.display = taxedTiers.length > 0 ? '' : 'none';
 
     // Math example — pick a tier with meaningful contribution
     const exTier = result.tiers.find((t) => t.evContribution > 0 && !t.isTicket) || result.tiers[0];
@@ -426,10 +471,165 @@
           Adjusted prize value: <code>${formatMoney(exTier.adjustedValue)}</code><br>
           EV contribution: <code>${formatPct(exTier.probability)} &times; ${formatMoney(exTier.adjustedValue)} = ${formatMoney(exTier.evContribution, 4)}</code>
         </p>
+        ${ticketValuationHtml(result.ticketValuation)}
       `;
     }
   }
 
+  function ticketValuationHtml(tv) {
+    if (!tv || tv.pTicket === 0) return '';
+    if (tv.method === 'price') {
+      return `
+        <h4>Free-Ticket Value: ticket price</h4>
+        <p>
+          Each free ticket is valued at the ticket price: <code>${formatMoney(tv.value)}</code>
+        </p>
+      `;
+    }
+    return `
+      <h4>Free-Ticket Value: recursive</h4>
+      <p>
+        A free ticket is another draw, worth the game's gross EV <code>V</code>, so <code>V = C + p<sub>T</sub> &times; V</code><br>
+        Cash-prize EV per draw (C): <code>${formatMoney(tv.cashEV, 4)}</code><br>
+        Ticket-tier probability (p<sub>T</sub>): <code>${formatPct(tv.pTicket)}</code><br>
+        Solved value: <code>V = C / (1 &minus; p<sub>T</sub>) = ${formatMoney(tv.cashEV, 4)} / ${(1 - tv.pTicket).toFixed(6)} = ${formatMoney(tv.value, 4)}</code>
+      </p>
+    `;
+  }
+
+  // --- Prize table charts ---
+
+  function renderPrizeCharts(result) {
+    const tiers = result.tiers;
+    contributionChart.innerHTML = barChart(
+      tiers.map((t, i) => ({ label: t.prize, values: [t.evContribution], index: i })),
+      { xFormat: (v) => '$' + v.toFixed(Math.abs(v) < 0.01 ? 4 : 2) }
+    );
+
+    const totalSum = tiers.reduce((s, t) => s + (t.total || 0), 0);
+    const remainingSum = tiers.reduce((s, t) => s + t.remaining, 0);
+    compositionChart.innerHTML = barChart(
+      tiers.map((t, i) => ({
+        label: t.prize,
+        values: [totalSum > 0 ? (t.total || 0) / totalSum : 0, remainingSum > 0 ? t.remaining / remainingSum : 0],
+        index: i,
+      })),
+      { series: ['At launch', 'Now'], xFormat: (v) => (v > 0 && v < 0.01 ? (v * 100).toPrecision(2) : (v * 100).toFixed(0)) + '%' }
+    );
+
+    const noPrize = Math.max(0, 1 - tiers.reduce((s, t) => s + t.probability, 0));
+    outcomeChart.innerHTML = barChart(
+      tiers.map((t, i) => ({ label: t.prize, values: [t.probability], index: i }))
+        .concat([{ label: 'No prize', values: [noPrize], index: -1 }]),
+      { xLog: true, xFormat: (v) => (v >= 0.01 ? (v * 100).toFixed(0) + '%' : v.toExponential(0)) }
+    );
+  }
+
+  // Chart marks carry the prize-table row index; hovering one highlights
+  // the row and clicking scrolls to it.
+  function linkChartToTable(container, tbody) {
+    let active = null;
+    const mark = (el) => {
+      if (active) active.classList.remove('row-highlight');
+      active = null;
+      const tr = el ? tbody.rows[el.dataset.index] : null;
+      if (tr) {
+        tr.classList.add('row-highlight');
+        active = tr;
+      }
+      return tr;
+    };
+    container.addEventListener('mouseover', (e) => mark(e.target.closest('[data-index]')));
+    container.addEventListener('mouseleave', () => mark(null));
+    container.addEventListener('click', (e) => {
+      const tr = mark(e.target.closest('[data-index]'));
+      if (tr) tr.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    });
+  }
+
+  for (const el of [contributionChart, compositionChart, outcomeChart, tornadoDiv]) {
+    linkChartToTable(el, prizeTableBody);
+  }
+
+  // --- Depletion forecast ---
+
+  const FORECAST_TOP_TIERS = 3;
+
+  function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleDateString() : '—';
+  }
+
+  function formatDays(days) {
+    if (!isFinite(days)) return '—';
+    return days < 1 ? 'under a day' : `${formatNum(Math.round(days))} days`;
+  }
+
+  function renderForecast() {
+    const f = lastHistory.length > 0 ? forecastGame(lastHistory, getOptions()) : null;
+    if (!f || f.error) {
+      forecastDetails.style.display = 'none';
+      forecastSummary.textContent = (f ? f.error + ' ' : '') +
+        'Each analysis of this game is saved; re-analyze it on a later day to project its sales and end date.';
+      return;
+    }
+
+    forecastSummary.textContent = `Sales rate fitted to ${f.snapshots} snapshots over ${formatDays(f.spanDays)} ` +
+      `(${formatDate(f.from)} – ${formatDate(f.to)}). Projections assume that rate holds.`;
+    let html = '';
+    html += metaItem('Tickets Sold per Day', formatNum(Math.round(f.salesPerDay)));
+    html += metaItem('Est. Sell-Out', `${formatDate(f.sellOutDate)} (${formatDays(f.sellOutDays)})`);
+    forecastMetrics.innerHTML = html;
+
+    forecastTierBody.innerHTML = '';
+    for (const t of f.tiers.filter((x) => !x.isTicket).slice(0, FORECAST_TOP_TIERS)) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${escapeHtml(t.label)}</td>
+        <td>${formatNum(t.remaining)}</td>
+        <td>${formatNum(t.claimedPerDay, 4)}</td>
+        <td>${t.source === 'observed' ? 'Observed claims' : 'Share of sales'}</td>
+        <td>${t.remaining > 0 ? `${formatDate(t.runOutDate)} (${formatDays(t.runOutDays)})` : 'All claimed'}</td>
+      `;
+      forecastTierBody.appendChild(tr);
+    }
+
+    forecastEvBody.innerHTML = '';
+    for (const p of f.evPath) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${Math.round(p.soldShare * 100)}%</td>
+        <td>${formatDate(p.date)}</td>
+        <td>${formatNum(Math.round(p.M))}</td>
+        <td>${isNaN(p.ev) ? '—' : signedMoney(p.ev, 4)}</td>
+      `;
+      forecastEvBody.appendChild(tr);
+    }
+    forecastDetails.style.display = '';
+  }
+
+  function renderOddsCheck(check) {
+    const odds = (n) => (n > 0 && isFinite(n) ? '1 in ' + formatNum(n, 2) : '—');
+    const pct = (n) => (isNaN(n) ? '—' : (n > 0 ? '+' : '') + (n * 100).toFixed(1) + '%');
+    oddsCheckBody.innerHTML = '';
+    for (const [label, line] of [['Overall', check.overall], ['Cash only', check.cash]]) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${label}</td>
+        <td>${odds(line.claimed)}</td>
+        <td>${odds(line.launch)}</td>
+        <td>${line.mismatch ? `<span class="badge badge-negative">${pct(line.launchDiff)}</span>` : pct(line.launchDiff)}</td>
+        <td>${odds(line.now)}</td>
+        <td>${pct(line.drift)}</td>
+      `;
+      oddsCheckBody.appendChild(tr);
+    }
+    const flagged = [check.overall, check.cash].some((l) => l.mismatch);
+    oddsCheckNote.textContent = (flagged
+      ? `The tier table does not reproduce the claimed odds within ${check.tolerance * 100}%: tiers may be missing or misread. `
+      : '') + 'Cash-only odds leave out free-ticket tiers. Drift compares the current odds with the launch odds' +
+      (check.drift.M === check.M ? '.' : `, with the current odds taken at M ≈ ${formatNum(Math.round(check.drift.M))} (${check.drift.label}): the scaled-mean estimate reproduces the launch odds.`);
+  }
+
   function metaItem(label, value) {
     return `<div class="meta-item"><div class="meta-label">${escapeHtml(label)}</div><div class="meta-value">${escapeHtml(String(value))}</div></div>`;
   }
@@ -442,21 +642,188 @@
 
   function showError(msg) {
     resultsSection.style.display = 'none';
+    sensitivitySection.style.display = 'none';
+    simSection.style.display = 'none';
     errorSection.style.display = '';
     errorMessage.textContent = msg;
   }
 
+  function getHitTickets() {
+    return Math.max(1, parseInt(hitTicketsInput.value, 10) || 1);
+  }
+
+  function getRiskParams() {
+    return {
+      bankroll: parseFloat(bankrollInput.value) || 0,
+      target: parseFloat(bankrollTargetInput.value) || 0,
+      model: utilityModelSelect.value,
+      riskAversion: parseFloat(riskAversionInput.value),
+    };
+  }
+
   function getOptions() {
     return {
       ignoreUnder500: ignoreUnder500.checked,
       applyTax: applyTax.checked,
-      taxRate: parseFloat(taxRateInput.value) || 24,
+      tax: {
+        filingStatus: filingStatusSelect.value,
+        otherIncome: parseFloat(otherIncomeInput.value) || 0,
+        state: stateRuleSelect.value,
+        stateRate: parseFloat(stateRateInput.value) || 0,
+      },
+      payout: {
+        mode: payoutModeSelect.value,
+        cashOptionRatio: (parseFloat(cashOptionRatioInput.value) || 0) / 100,
+        discountRate: parseFloat(discountRateInput.value) || 0,
+        termYears: parseInt(payoutTermInput.value, 10) || 20,
+        annuityThreshold: parseFloat(annuityThresholdInput.value) || 0,
+      },
+      ticketValuation: ticketValuationSelect.value,
+      estimator: estimatorSelect.value,
+      claimLag: {
+        enabled: claimLagCheckbox.checked,
+        gameAgeDays: parseFloat(claimLagAgeInput.value) || DEFAULT_CLAIM_LAG.gameAgeDays,
+        bands: claimLagBandInputs.map((b) => ({
+          min: b.min,
+          meanDays: parseFloat(b.days.value) || 0,
+          unclaimed: (parseFloat(b.never.value) || 0) / 100,
+        })),
+      },
+    };
+  }
+
+  // Inverse of getOptions, for options carried by a link. Missing or
+  // unknown values leave the control as it is.
+  function applyOptions(o) {
+    const tax = o.tax || {};
+    const payout = o.payout || {};
+    const setChecked = (el, v) => { if (typeof v === 'boolean') el.checked = v; };
+    const setNumber = (el, v) => { if (typeof v === 'number' && isFinite(v)) el.value = v; };
+    const setChoice = (el, v) => {
+      if (Array.from(el.options).some((opt) => opt.value === v)) el.value = v;
     };
+
+    setChecked(ignoreUnder500, o.ignoreUnder500);
+    setChecked(applyTax, o.applyTax);
+    setChoice(filingStatusSelect, tax.filingStatus);
+    setNumber(otherIncomeInput, tax.otherIncome);
+    setChoice(stateRuleSelect, tax.state);
+    setNumber(stateRateInput, tax.stateRate);
+    setChoice(payoutModeSelect, payout.mode);
+    if (typeof payout.cashOptionRatio === 'number') setNumber(cashOptionRatioInput, +(payout.cashOptionRatio * 100).toFixed(4));
+    setNumber(discountRateInput, payout.discountRate);
+    setNumber(payoutTermInput, payout.termYears);
+    setNumber(annuityThresholdInput, payout.annuityThreshold);
+    setChoice(ticketValuationSelect, o.ticketValuation);
+    setChoice(estimatorSelect, o.estimator);
+    const lag = o.claimLag || {};
+    setChecked(claimLagCheckbox, lag.enabled);
+    setNumber(claimLagAgeInput, lag.gameAgeDays);
+    for (const band of Array.isArray(lag.bands) ? lag.bands : []) {
+      const b = claimLagBandInputs.find((x) => x.min === band.min);
+      if (!b) continue;
+      setNumber(b.days, band.meanDays);
+      if (typeof band.unclaimed === 'number') setNumber(b.never, +(band.unclaimed * 100).toFixed(4));
+    }
+  }
+
+  // --- What-if panel ---
+
+  let whatIfBase = null; // { game, result, top } the sliders start from
+
+  function signedPct(n) {
+    return (n > 0 ? '+' : '') + (n * 100).toFixed(0) + '%';
+  }
+
+  function breakEvenText(top) {
+    if (!isFinite(top.breakEven)) return 'Not reachable';
+    if (top.breakEven <= 0) return 'Positive even with none left';
+    const needed = Math.ceil(top.breakEven - 1e-9);
+    return `${formatNum(needed)} (of ${formatNum(top.total)} printed${needed > top.total ? ', more than exist' : ''})`;
+  }
+
+  function renderSensitivity(game, result) {
+    const options = getOptions();
+    const top = topPrizeWhatIf(game, options, result);
+    whatIfBase = { game, result, top };
+
+    let html = '';
+    if (top) {
+      html += metaItem(`Net EV if One More ${top.prize} Is Claimed`,
+        top.oneMoreClaimed === null ? 'None left' : signedMoney(top.oneMoreClaimed, 4));
+      html += metaItem(`Net EV per ${top.prize} Left`, signedMoney(top.perPrize, 4));
+      html += metaItem(`${top.prize} Left to Break Even`, breakEvenText(top));
+    }
+    sensitivitySummary.innerHTML = html;
+
+    whatIfMInput.value = 0;
+    whatIfTopInput.disabled = !top;
+    whatIfTopName.textContent = top ? top.prize : 'Top prizes';
+    if (top) {
+      whatIfTopInput.max = Math.max(top.total, top.remaining, 1);
+      whatIfTopInput.value = top.remaining;
+    }
+    updateWhatIf();
+
+    mSweepBody.innerHTML = '';
+    for (const p of sweepM(game, options, result, DEFAULT_SWING)) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${signedPct(p.shift)}</td>
+        <td>${formatNum(Math.round(p.M))}</td>
+        <td>${signedMoney(p.evNet, 4)}</td>
+        <td>${signedMoney(p.evNet - result.evNet, 4)}</td>
+      `;
+      mSweepBody.appendChild(tr);
+    }
+
+    renderTornado();
+  }
+
+  // Inputs ranked by how far moving each one by the chosen swing moves net EV
+  function renderTornado() {
+    if (!whatIfBase) return;
+    const { game, result } = whatIfBase;
+    const pct = parseInt(swingInput.value, 10) || Math.round(DEFAULT_SWING * 100);
+    swingLabel.textContent = pct;
+    tornadoDiv.innerHTML = tornadoChart(rankInputs(game, getOptions(), result, pct / 100), result.evNet, {
+      legend: [`Input -${pct}%`, `Input +${pct}%`],
+      xFormat: (v) => signedMoney(v, 2),
+    });
+  }
+
+  // Sliders go straight to the engine: M scaled from the estimate, the top
+  // tier's remaining count set outright.
+  function updateWhatIf() {
+    if (!whatIfBase) return;
+    const { game, result, top } = whatIfBase;
+    const shift = (parseInt(whatIfMInput.value, 10) || 0) / 100;
+    const changes = { M: result.M * (1 + shift) };
+    whatIfMLabel.textContent = `${signedPct(shift)} (${formatNum(Math.round(changes.M))})`;
+    if (top) {
+      const n = parseInt(whatIfTopInput.value, 10) || 0;
+      changes.remaining = { [top.index]: n };
+      whatIfTopLabel.textContent = formatNum(n);
+    }
+    const r = whatIf(game, getOptions(), changes);
+    whatIfEv.textContent = r.error ? r.error : `${signedMoney(r.evNet, 4)} (${signedMoney(r.evNet - result.evNet, 4)})`;
   }
 
+  whatIfMInput.addEventListener('input', updateWhatIf);
+  whatIfTopInput.addEventListener('input', updateWhatIf);
+  whatIfResetBtn.addEventListener('click', () => {
+    if (!whatIfBase) return;
+    whatIfMInput.value = 0;
+    if (whatIfBase.top) whatIfTopInput.value = whatIfBase.top.remaining;
+    updateWhatIf();
+  });
+  swingInput.addEventListener('input', renderTornado);
+
   // --- Recalculate when options change ---
 
   let lastGame = null;
+  let lastResult = null;
+  let lastHistory = [];
 
   function recalculate() {
     if (!lastGame) return;
@@ -466,7 +833,45 @@
 
   ignoreUnder500.addEventListener('change', recalculate);
   applyTax.addEventListener('change', recalculate);
-  taxRateInput.addEventListener('input', recalculate);
+  filingStatusSelect.addEventListener('change', recalculate);
+  otherIncomeInput.addEventListener('input', recalculate);
+  stateRuleSelect.addEventListener('change', recalculate);
+  stateRateInput.addEventListener('input', recalculate);
+  payoutModeSelect.addEventListener('change', recalculate);
+  cashOptionRatioInput.addEventListener('input', recalculate);
+  discountRateInput.addEventListener('input', recalculate);
+  payoutTermInput.addEventListener('input', recalculate);
+  annuityThresholdInput.addEventListener('input', recalculate);
+  ticketValuationSelect.addEventListener('change', recalculate);
+  estimatorSelect.addEventListener('change', recalculate);
+  claimLagCheckbox.addEventListener('change', recalculate);
+  claimLagAgeInput.addEventListener('input', recalculate);
+  claimLagBands.addEventListener('input', recalculate);
+  hitTicketsInput.addEventListener('input', recalculate);
+  bankrollInput.addEventListener('input', recalculate);
+  bankrollTargetInput.addEventListener('input', recalculate);
+  utilityModelSelect.addEventListener('change', recalculate);
+  riskAversionInput.addEventListener('input', recalculate);
+
+  // --- History ---
+
+  const snapshots = createSnapshotStore(window.indexedDB);
+
+  // The game's saved history feeds the depletion forecast.
+  function loadHistory(game) {
+    return snapshots.forGame(gameKey(game)).then((history) => {
+      if (game !== lastGame) return;
+      lastHistory = history;
+      if (lastResult) renderForecast();
+    });
+  }
+
+  // Best-effort: results still show when IndexedDB is unavailable or full.
+  function saveSnapshot(game, source) {
+    snapshots.save(game, source)
+      .then(() => loadHistory(game))
+      .catch(() => {});
+  }
 
   // --- Fetch button ---
 
@@ -479,6 +884,7 @@
 
     fetchBtn.disabled = true;
     fetchBtn.textContent = 'Fetching...';
+    validationSection.style.display = 'none';
 
     try {
       const game = await fetchGameData(url);
@@ -487,28 +893,13 @@
         return;
       }
 
-      // Populate manual fields for reference
-      if (game.name) gameNameInput.value = game.name;
-      if (game.number) gameNumberInput.value = game.number;
-      if (game.ticketPrice) ticketPriceInput.value = game.ticketPrice;
-      if (game.claimedOdds) claimedOddsInput.value = game.claimedOdds;
-      if (game.claimedCashOdds) claimedCashOddsInput.value = game.claimedCashOdds;
-
-      // Populate tier rows
-      tierContainer.innerHTML = '';
-      tierCount = 0;
-      for (const t of game.tiers) {
-        createTierRow({
-          prize: t.prize,
-          odds: String(t.odds),
-          remaining: t.remaining,
-          total: t.total,
-        });
-      }
-
+      fillForm(game);
+      showValidation(game, url);
       lastGame = game;
+      lastHistory = [];
       const result = computeEV(game, getOptions());
       renderResults(game, result);
+      saveSnapshot(game, 'calculator');
     } catch (e) {
       showError('Fetch failed: ' + e.message);
     } finally {
@@ -521,6 +912,7 @@
 
   calcBtn.addEventListener('click', () => {
     const game = collectManualInput();
+    showValidation(game);
     if (!game.ticketPrice) {
       showError('Please enter a ticket price.');
       return;
@@ -531,13 +923,193 @@
     }
 
     lastGame = game;
+    lastHistory = [];
     const result = computeEV(game, getOptions());
     renderResults(game, result);
+    saveSnapshot(game, 'calculator');
+  });
+
+  // --- Permalinks ---
+
+  // Keeps the address bar pointing at the game and options on screen, so
+  // it can be bookmarked or shared as it is.
+  function updateLink(game) {
+    try {
+      window.history.replaceState(null, '', gameLink('', game, getOptions()));
+    } catch (e) {
+      // Some file:// setups refuse replaceState; the copy button still works
+    }
+  }
+
+  copyLinkBtn.addEventListener('click', async () => {
+    if (!lastGame) return;
+    const url = new URL(gameLink('', lastGame, getOptions()), window.location.href).href;
+    try {
+      await navigator.clipboard.writeText(url);
+      copyLinkBtn.textContent = 'Copied';
+      setTimeout(() => { copyLinkBtn.textContent = 'Copy Link'; }, 1500);
+    } catch (e) {
+      window.prompt('Copy this link:', url);
+    }
   });
 
+  // A link fills the form the way a fetch does and calculates from it. Its
+  // data may be old, so it is not saved as a snapshot.
+  function openLink() {
+    const encoded = fromHash(window.location.hash);
+    if (!encoded) return;
+    let link;
+    try {
+      link = decodeGame(encoded);
+    } catch (e) {
+      showError('Could not open the game link: ' + e.message);
+      return;
+    }
+
+    if (link.options) applyOptions(link.options);
+    fillForm(link.game);
+    const game = collectManualInput();
+    showValidation(game);
+    lastGame = game;
+    lastHistory = [];
+    const result = computeEV(game, getOptions());
+    renderResults(game, result);
+    loadHistory(game).catch(() => {});
+  }
+
+  window.addEventListener('hashchange', openLink);
+
+  // --- CSV export ---
+
+  function downloadFile(filename, text, type) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type }));
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  exportPrizeCsvBtn.addEventListener('click', () => {
+    if (!lastGame || !lastResult) return;
+    const hitOdds = computeHitOdds(lastResult, getHitTickets());
+    const columns = [
+      ['Prize', (t) => t.prize],
+      ['Odds Text', (t) => t.oddsText],
+      ['Remaining', (t) => t.remaining],
+      ['Original Total', (t) => t.total],
+      ['Parsed N', (t) => t.parsedN],
+      ['Tier Ticket Est.', (t) => Math.round(t.tierTicketEst)],
+      ['Tier Probability', (t) => t.probability],
+      [`P(>=1 in ${hitOdds.n})`, (t) => hitOdds.tiers[lastResult.tiers.indexOf(t)]],
+      ['Adjusted Value', (t) => t.adjustedValue],
+      ['EV Contribution', (t) => t.evContribution],
+    ];
+    const title = [lastGame.name, lastGame.number && `(${lastGame.number})`].filter(Boolean).join(' ');
+    const meta = [
+      `${title || 'Game'} reconstructed prize table, ${new Date().toISOString()}`,
+      `Ticket price: $${lastResult.ticketPrice}`,
+      `Est. remaining tickets: ${Math.round(lastResult.M)} (${lastResult.method})`,
+      `Net EV: ${lastResult.evNet}`,
+      ...optionsHeader(getOptions()),
+    ];
+    const slug = (lastGame.number || lastGame.name || 'game').replace(/[^\w-]+/g, '-');
+    downloadFile(`prize-table-${slug}.csv`, toCsv(columns, lastResult.tiers, meta), 'text/csv');
+  });
+
+  // --- Monte Carlo simulator ---
+
+  let simWorker = null;
+
+  function runSimulationInWorker(pool, params) {
+    return new Promise((resolve, reject) => {
+      simWorker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+          simStatus.textContent = `Running... ${Math.round(msg.fraction * 100)}%`;
+        } else if (msg.type === 'done') {
+          resolve(msg.stats);
+        } else {
+          reject(new Error(msg.message));
+        }
+      };
+      simWorker.onerror = (e) => {
+        e.preventDefault();
+        simWorker.terminate();
+        simWorker = null;
+        reject(new Error(e.message || 'Worker failed'));
+      };
+      simWorker.postMessage({ pool, params });
+    });
+  }
+
+  // Workers are unavailable from file:// in some browsers: only when one
+  // cannot be created does the run move onto the page. A worker that fails
+  // mid-run reports its error rather than blocking the page with a rerun.
+  async function runSimulation(pool, params) {
+    if (!simWorker && typeof Worker !== 'undefined') {
+      try {
+        simWorker = new Worker('sim-worker.js');
+      } catch (e) {
+        simWorker = null;
+      }
+    }
+    if (simWorker) return runSimulationInWorker(pool, params);
+    simStatus.textContent = 'Worker unavailable, running on the page...';
+    return simulate(pool, params);
+  }
+
+  function renderSimulation(stats) {
+    let html = '';
+    html += metaItem('Tickets Bought', `${formatNum(stats.tickets)} (${formatMoney(stats.cost)})`);
+    html += metaItem('Mean Net Outcome', (stats.mean >= 0 ? '+' : '-') + formatMoney(stats.mean));
+    html += metaItem('Chance of Breaking Even', (stats.pBreakEven * 100).toFixed(2) + '%');
+    html += metaItem(`Chance of a ${formatMoney(stats.threshold, 0)}+ Prize`, (stats.pThreshold * 100).toFixed(2) + '%');
+    html += metaItem('Expected Free-Ticket Replays', stats.expectedReplays.toFixed(3));
+    html += metaItem('Std. Dev. of Net', formatMoney(stats.stdDev));
+    simSummaryDiv.innerHTML = html;
+
+    simPercentilesBody.innerHTML = '';
+    for (const { p, value } of stats.percentiles) {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${p}th</td>
+        <td>${value >= 0 ? '+' : '-'}${formatMoney(value)}</td>
+      `;
+      simPercentilesBody.appendChild(tr);
+    }
+    simResultsDiv.style.display = '';
+  }
+
+  simBtn.addEventListener('click', async () => {
+    if (!lastResult) return;
+    const pool = buildPool(lastResult);
+    const params = {
+      tickets: parseInt(simTicketsInput.value, 10) || 1,
+      trials: parseInt(simTrialsInput.value, 10) || 10000,
+      threshold: parseFloat(simThresholdInput.value) || 0,
+      seed: simSeedInput.value.trim(),
+    };
+
+    simBtn.disabled = true;
+    simStatus.textContent = 'Running...';
+    try {
+      const stats = await runSimulation(pool, params);
+      simStatus.textContent = `${formatNum(stats.trials)} trials` +
+        (params.seed ? ` (seed "${params.seed}")` : '');
+      renderSimulation(stats);
+    } catch (e) {
+      simStatus.textContent = 'Simulation failed: ' + e.message;
+    } finally {
+      simBtn.disabled = false;
+    }
+  });
+
+  openLink();
+
   // === Expose for testing ===
   window._scratcherCalc = {
     parseCurrency,
+    parsePrizeValue,
     parseOdds,
     parseRemainingOfTotal,
     isTicketTier,
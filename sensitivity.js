@@ -0,0 +1,110 @@
+// === sensitivity.js — What-If and Break-Even Analysis ===
+//
+// Re-runs computeEV on edited copies of a game: tiers' remaining counts
+// changed, M pinned away from its estimate, or both. At a fixed M, net EV
+// is linear in each tier's remaining count (the recursive free-ticket value
+// included), so break-even counts come from the slope between two runs.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'));
+  } else {
+    root.ScratcherSensitivity = factory(root.ScratcherEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+  'use strict';
+
+  const DEFAULT_SWING = 0.2; // relative change applied to M and to each tier
+  const SWEEP_POINTS = 9; // M values from -swing to +swing
+
+  // `game` in the calculator shape; `changes`: { M, remaining: { [tier index]: count } }.
+  // M defaults to the game's own estimate. The claim-lag re-run is skipped:
+  // these runs look at the posted counts.
+  function whatIf(game, options, changes) {
+    const c = changes || {};
+    const counts = c.remaining || {};
+    const tiers = game.tiers.map((t, i) => (counts[i] === undefined
+      ? Object.assign({}, t)
+      : Object.assign({}, t, { remaining: Math.max(0, counts[i]) })));
+    return engine.computeEV(
+      Object.assign({}, game, { tiers }),
+      Object.assign({}, options, { claimLag: null, fixedM: c.M > 0 ? c.M : options.fixedM })
+    );
+  }
+
+  // Index of the highest-valued cash tier in a computeEV result, or -1.
+  function topTierIndex(result) {
+    let best = -1;
+    result.tiers.forEach((t, i) => {
+      if (t.isTicket || !(t.value > 0)) return;
+      if (best === -1 || t.value > result.tiers[best].value) best = i;
+    });
+    return best;
+  }
+
+  // The top tier's what-ifs: net EV after one more is claimed (which also
+  // sells a ticket), the EV each remaining top prize is worth, and how many
+  // must remain for net EV to reach zero (`breakEven`, fractional; Infinity
+  // when more top prizes do not raise EV). Null when there is no cash tier.
+  function topPrizeWhatIf(game, options, base) {
+    const i = topTierIndex(base);
+    if (i === -1) return null;
+    const t = base.tiers[i];
+    const perPrize = whatIf(game, options, { M: base.M, remaining: { [i]: t.remaining + 1 } }).evNet - base.evNet;
+    return {
+      index: i,
+      prize: t.prize,
+      remaining: t.remaining,
+      total: t.total,
+      perPrize,
+      oneMoreClaimed: t.remaining > 0
+        ? whatIf(game, options, { M: Math.max(1, base.M - 1), remaining: { [i]: t.remaining - 1 } }).evNet
+        : null,
+      breakEven: perPrize > 0 ? t.remaining - base.evNet / perPrize : Infinity,
+    };
+  }
+
+  // Net EV at evenly spaced M from (1 - swing) to (1 + swing) times the estimate.
+  function sweepM(game, options, base, swing) {
+    const s = swing > 0 ? swing : DEFAULT_SWING;
+    const out = [];
+    for (let k = 0; k < SWEEP_POINTS; k++) {
+      const shift = -s + (2 * s * k) / (SWEEP_POINTS - 1);
+      const M = base.M * (1 + shift);
+      out.push({ shift, M, evNet: whatIf(game, options, { M }).evNet });
+    }
+    return out;
+  }
+
+  // Tornado rows: net EV with M and with each tier's remaining count moved
+  // down and up by `swing`, widest range first. `index` is -1 for M.
+  function rankInputs(game, options, base, swing) {
+    const s = swing > 0 ? swing : DEFAULT_SWING;
+    const rows = [{
+      index: -1,
+      label: 'Remaining tickets (M)',
+      down: whatIf(game, options, { M: base.M * (1 - s) }).evNet,
+      up: whatIf(game, options, { M: base.M * (1 + s) }).evNet,
+    }];
+    base.tiers.forEach((t, i) => {
+      if (!(t.remaining > 0)) return;
+      rows.push({
+        index: i,
+        label: t.prize,
+        down: whatIf(game, options, { M: base.M, remaining: { [i]: t.remaining * (1 - s) } }).evNet,
+        up: whatIf(game, options, { M: base.M, remaining: { [i]: t.remaining * (1 + s) } }).evNet,
+      });
+    });
+    for (const r of rows) r.range = Math.abs(r.up - r.down);
+    return rows.sort((a, b) => b.range - a.range);
+  }
+
+  return {
+    DEFAULT_SWING,
+    whatIf,
+    topTierIndex,
+    topPrizeWhatIf,
+    sweepM,
+    rankInputs,
+  };
+});
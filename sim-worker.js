@@ -0,0 +1,15 @@
+// === sim-worker.js — Runs the Monte Carlo simulator off the main thread ===
+
+importScripts('simulator.js');
+
+self.onmessage = (e) => {
+  const { pool, params } = e.data;
+  try {
+    const stats = ScratcherSimulator.simulate(pool, params, (fraction) => {
+      self.postMessage({ type: 'progress', fraction });
+    });
+    self.postMessage({ type: 'done', stats });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,160 @@
+// === simulator.js — Monte Carlo Ticket Purchase Simulator ===
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScratcherSimulator = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+  // --- Seedable PRNG (mulberry32) ---
+
+  function hashSeed(seed) {
+    if (typeof seed === 'number' && isFinite(seed)) return seed >>> 0;
+    // A typed "42" seeds the same run as the number 42
+    if (typeof seed === 'string' && seed.trim() !== '' && isFinite(Number(seed))) return Number(seed) >>> 0;
+    // FNV-1a over the string form so text seeds are reproducible too
+    let h = 0x811c9dc5;
+    const s = String(seed);
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function createRng(seed) {
+    let a = seed === undefined || seed === null || seed === ''
+      ? (Math.random() * 0x100000000) >>> 0
+      : hashSeed(seed);
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // --- Pool construction ---
+
+  // Build the draw pool from a computeEV result. Cash tiers pay their
+  // adjusted value (so the modeling options apply); ticket tiers pay a replay.
+  function buildPool(result) {
+    const tiers = result.tiers
+      .filter((t) => t.remaining > 0)
+      .map((t) => ({
+        prize: t.prize,
+        value: t.value,
+        payout: t.isTicket ? 0 : t.adjustedValue,
+        isTicket: t.isTicket,
+        remaining: t.remaining,
+      }));
+    const winners = tiers.reduce((s, t) => s + t.remaining, 0);
+    return {
+      ticketPrice: result.ticketPrice,
+      M: Math.max(Math.round(result.M), winners),
+      tiers,
+    };
+  }
+
+  // --- Simulation ---
+
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const idx = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+  }
+
+  // Simulate buying `tickets` tickets `trials` times, sampling without
+  // replacement from the remaining pool. Free-ticket wins are redeemed as
+  // further draws from the same pool.
+  function simulate(pool, params, onProgress) {
+    const tickets = Math.max(1, Math.floor(params.tickets) || 1);
+    const trials = Math.max(1, Math.floor(params.trials) || 1);
+    const threshold = params.threshold || 0;
+    const rng = createRng(params.seed);
+
+    const n = pool.tiers.length;
+    const payout = pool.tiers.map((t) => t.payout);
+    const isTicket = pool.tiers.map((t) => t.isTicket);
+    const hitsThreshold = pool.tiers.map((t) => !t.isTicket && t.value >= threshold);
+    const initial = pool.tiers.map((t) => t.remaining);
+    const counts = new Array(n);
+    const cost = tickets * pool.ticketPrice;
+
+    const nets = new Float64Array(trials);
+    let breakEven = 0;
+    let thresholdHits = 0;
+    let replayTotal = 0;
+    const progressEvery = Math.max(1, Math.floor(trials / 20));
+
+    for (let trial = 0; trial < trials; trial++) {
+      for (let i = 0; i < n; i++) counts[i] = initial[i];
+      let left = pool.M;
+      let draws = tickets;
+      let won = 0;
+      let replays = 0;
+      let hit = false;
+
+      while (draws > 0 && left > 0) {
+        draws--;
+        let r = rng() * left;
+        left--;
+        for (let i = 0; i < n; i++) {
+          if (r < counts[i]) {
+            counts[i]--;
+            if (isTicket[i]) {
+              draws++;
+              replays++;
+            } else {
+              won += payout[i];
+              if (hitsThreshold[i]) hit = true;
+            }
+            break;
+          }
+          r -= counts[i];
+        }
+      }
+
+      const net = won - cost;
+      nets[trial] = net;
+      if (net >= 0) breakEven++;
+      if (hit) thresholdHits++;
+      replayTotal += replays;
+
+      if (onProgress && (trial + 1) % progressEvery === 0) onProgress((trial + 1) / trials);
+    }
+
+    const sorted = Array.from(nets).sort((a, b) => a - b);
+    const mean = sorted.reduce((s, v) => s + v, 0) / trials;
+    const variance = sorted.reduce((s, v) => s + (v - mean) * (v - mean), 0) / trials;
+
+    return {
+      tickets,
+      trials,
+      threshold,
+      cost,
+      mean,
+      stdDev: Math.sqrt(variance),
+      min: sorted[0],
+      max: sorted[trials - 1],
+      pBreakEven: breakEven / trials,
+      pThreshold: thresholdHits / trials,
+      expectedReplays: replayTotal / trials,
+      percentiles: PERCENTILES.map((p) => ({ p, value: percentile(sorted, p) })),
+    };
+  }
+
+  return {
+    createRng,
+    buildPool,
+    simulate,
+  };
+});
@@ -0,0 +1,212 @@
+// === snapshots.js — Game-State History in IndexedDB ===
+//
+// Every analyzed game state is stored with a timestamp, keyed by game number
+// (or name when a game has no number, or its price and tier table when it
+// has neither). Snapshots hold the raw tier data in
+// the common JSON shape, so M and EV can be recomputed with any options.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'));
+  } else {
+    root.ScratcherSnapshots = factory(root.ScratcherEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, function (engine) {
+  'use strict';
+
+  const DB_NAME = 'scratcher-analyzer';
+  const DB_VERSION = 1;
+  const STORE = 'snapshots';
+  const EXPORT_VERSION = 1;
+
+  // Stands in for a missing number and name: the price with a hash of each
+  // tier's odds and total, which stay fixed while remaining counts fall.
+  // Empty when there is no price or tier to go by.
+  function derivedKey(game) {
+    const g = engine.toOverviewGame(game);
+    const tiers = (g.tiers || [])
+      .map((t) => `${typeof t.odds === 'number' ? t.odds : engine.parseOdds(t.odds)}x${t.total}`)
+      .sort();
+    if (!(g.price > 0) || tiers.length === 0) return '';
+    let h = 0x811c9dc5; // FNV-1a
+    const s = tiers.join(',');
+    for (let i = 0; i < s.length; i++) {
+      h ^= s.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return `Unnamed $${g.price} game ${(h >>> 0).toString(16).padStart(8, '0')}`;
+  }
+
+  function gameKey(game) {
+    return String(game.number || game.name || '').trim() || derivedKey(game);
+  }
+
+  // Plain, storable copy of a game state (calculator or overview shape).
+  function snapshotOf(game, source, takenAt) {
+    const g = engine.toOverviewGame(game);
+    return {
+      gameKey: gameKey(g),
+      takenAt: takenAt || new Date().toISOString(),
+      source: source || '',
+      name: g.name || '',
+      number: g.number || '',
+      price: g.price,
+      claimedOdds: g.claimedOdds || '',
+      tiers: g.tiers.map((t) => ({
+        label: t.label || t.prize || '',
+        value: t.value,
+        isTicket: !!t.isTicket || engine.isTicketTier(String(t.value)),
+        odds: t.odds,
+        remaining: t.remaining,
+        total: t.total,
+      })),
+    };
+  }
+
+  function sameState(a, b) {
+    return a.price === b.price &&
+      JSON.stringify(a.tiers) === JSON.stringify(b.tiers);
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // --- Store ---
+
+  // `idb` is an IDBFactory — window.indexedDB in the browser, or any
+  // compatible implementation when running headless.
+  function createSnapshotStore(idb) {
+    let dbPromise = null;
+
+    function open() {
+      if (!idb) return Promise.reject(new Error('IndexedDB is not available.'));
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const req = idb.open(DB_NAME, DB_VERSION);
+          req.onupgradeneeded = () => {
+            const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('gameKey', 'gameKey', { unique: false });
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+        });
+      }
+      return dbPromise;
+    }
+
+    async function objectStore(mode) {
+      const db = await open();
+      return db.transaction(STORE, mode).objectStore(STORE);
+    }
+
+    async function forGame(key) {
+      const store = await objectStore('readonly');
+      const rows = await request(store.index('gameKey').getAll(key));
+      return rows.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+    }
+
+    async function all() {
+      const store = await objectStore('readonly');
+      const rows = await request(store.getAll());
+      return rows.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+    }
+
+    // Saves a snapshot unless it repeats the game's latest stored state.
+    // Resolves to the stored snapshot, or null when skipped.
+    async function save(game, source) {
+      const snap = snapshotOf(game, source);
+      if (!snap.gameKey || snap.tiers.length === 0) return null;
+      const previous = await forGame(snap.gameKey);
+      const latest = previous[previous.length - 1];
+      if (latest && sameState(latest, snap)) return null;
+      const store = await objectStore('readwrite');
+      snap.id = await request(store.add(snap));
+      return snap;
+    }
+
+    // One summary row per stored game, most recently updated first.
+    async function games() {
+      const byKey = new Map();
+      for (const s of await all()) {
+        const g = byKey.get(s.gameKey) || { key: s.gameKey, count: 0, first: s.takenAt };
+        g.name = s.name;
+        g.number = s.number;
+        g.price = s.price;
+        g.count++;
+        g.last = s.takenAt;
+        byKey.set(s.gameKey, g);
+      }
+      return Array.from(byKey.values()).sort((a, b) => b.last.localeCompare(a.last));
+    }
+
+    async function exportJson() {
+      const snapshots = (await all()).map((s) => {
+        const copy = Object.assign({}, s);
+        delete copy.id;
+        return copy;
+      });
+      return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), snapshots }, null, 2);
+    }
+
+    // Merges an exported archive. Snapshots already present (same game and
+    // timestamp) are skipped, so importing the same file twice is harmless.
+    async function importJson(text) {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (e) {
+        throw new Error('Invalid JSON: ' + e.message);
+      }
+      const incoming = Array.isArray(parsed) ? parsed : parsed.snapshots;
+      if (!Array.isArray(incoming)) throw new Error('No snapshots found in the file.');
+
+      const existing = new Set((await all()).map((s) => s.gameKey + '|' + s.takenAt));
+      let added = 0;
+      let skipped = 0;
+      const store = await objectStore('readwrite');
+      for (const raw of incoming) {
+        if (!raw || !Array.isArray(raw.tiers) || !raw.takenAt) {
+          skipped++;
+          continue;
+        }
+        const snap = snapshotOf(raw, raw.source, raw.takenAt);
+        const id = snap.gameKey + '|' + snap.takenAt;
+        if (!snap.gameKey || existing.has(id)) {
+          skipped++;
+          continue;
+        }
+        existing.add(id);
+        await request(store.add(snap));
+        added++;
+      }
+      return { added, skipped };
+    }
+
+    async function clearGame(key) {
+      const rows = await forGame(key);
+      const store = await objectStore('readwrite');
+      for (const r of rows) await request(store.delete(r.id));
+      return rows.length;
+    }
+
+    return {
+      save,
+      forGame,
+      all,
+      games,
+      exportJson,
+      importJson,
+      clearGame,
+    };
+  }
+
+  return {
+    gameKey,
+    snapshotOf,
+    createSnapshotStore,
+  };
+});
@@ -0,0 +1,126 @@
+// === tax.js — Lottery Prize Tax Model ===
+//
+// Distinguishes what is withheld when a prize is claimed from what is finally
+// owed at filing. Federal liability is the increase in progressive income tax
+// caused by adding the prize to the player's other taxable income.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScratcherTax = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // --- Default model (federal tax year 2024) ---
+
+  const FILING_STATUSES = {
+    single: 'Single',
+    married: 'Married filing jointly',
+    separate: 'Married filing separately',
+    head: 'Head of household',
+  };
+
+  // [lower bound of taxable income, marginal rate]
+  const FEDERAL_BRACKETS = {
+    single: [[0, 0.10], [11600, 0.12], [47150, 0.22], [100525, 0.24], [191950, 0.32], [243725, 0.35], [609350, 0.37]],
+    married: [[0, 0.10], [23200, 0.12], [94300, 0.22], [201050, 0.24], [383900, 0.32], [487450, 0.35], [731200, 0.37]],
+    separate: [[0, 0.10], [11600, 0.12], [47150, 0.22], [100525, 0.24], [191950, 0.32], [243725, 0.35], [365600, 0.37]],
+    head: [[0, 0.10], [16550, 0.12], [63100, 0.22], [100500, 0.24], [191950, 0.32], [243700, 0.35], [609350, 0.37]],
+  };
+
+  const STANDARD_DEDUCTION = {
+    single: 14600,
+    married: 29200,
+    separate: 14600,
+    head: 21900,
+  };
+
+  // California does not tax state lottery winnings; "flat" applies a single
+  // state rate to every prize and withholds it above the federal threshold.
+  const STATE_RULES = {
+    CA: { label: 'California (lottery exempt)', taxesLottery: false },
+    flat: { label: 'Flat state rate', taxesLottery: true },
+  };
+
+  const DEFAULT_TAX_MODEL = {
+    filingStatus: 'single',
+    otherIncome: 0,
+    withholdingThreshold: 5000, // federal withholding applies to prizes over this
+    withholdingRate: 0.24,
+    brackets: FEDERAL_BRACKETS,
+    standardDeduction: STANDARD_DEDUCTION,
+    state: 'CA',
+    stateRate: 0,
+  };
+
+  function createTaxModel(settings) {
+    return Object.assign({}, DEFAULT_TAX_MODEL, settings || {});
+  }
+
+  // --- Computation ---
+
+  function incomeTax(taxable, brackets) {
+    let tax = 0;
+    for (let i = 0; i < brackets.length; i++) {
+      const [lower, rate] = brackets[i];
+      if (taxable <= lower) break;
+      const upper = i + 1 < brackets.length ? brackets[i + 1][0] : Infinity;
+      tax += (Math.min(taxable, upper) - lower) * rate;
+    }
+    return tax;
+  }
+
+  function federalLiability(prize, model) {
+    const brackets = model.brackets[model.filingStatus] || model.brackets.single;
+    const deduction = model.standardDeduction[model.filingStatus] || 0;
+    const base = Math.max(0, model.otherIncome - deduction);
+    const withPrize = Math.max(0, model.otherIncome + prize - deduction);
+    return incomeTax(withPrize, brackets) - incomeTax(base, brackets);
+  }
+
+  // Full breakdown for a single prize claimed on its own.
+  function prizeTax(prize, settings) {
+    const model = createTaxModel(settings);
+    const rule = STATE_RULES[model.state] || STATE_RULES.CA;
+    const stateRate = rule.taxesLottery ? (model.stateRate || 0) / 100 : 0;
+    const withheld = prize > model.withholdingThreshold;
+
+    const withholding = {
+      federal: withheld ? prize * model.withholdingRate : 0,
+      state: withheld ? prize * stateRate : 0,
+    };
+    withholding.total = withholding.federal + withholding.state;
+
+    const liability = {
+      federal: prize > 0 ? federalLiability(prize, model) : 0,
+      state: prize * stateRate,
+    };
+    liability.total = liability.federal + liability.state;
+
+    return {
+      prize,
+      withholding,
+      liability,
+      dueAtFiling: liability.total - withholding.total,
+      net: prize - liability.total,
+    };
+  }
+
+  function afterTax(prize, settings) {
+    return prizeTax(prize, settings).net;
+  }
+
+  return {
+    FILING_STATUSES,
+    FEDERAL_BRACKETS,
+    STANDARD_DEDUCTION,
+    STATE_RULES,
+    DEFAULT_TAX_MODEL,
+    createTaxModel,
+    incomeTax,
+    prizeTax,
+    afterTax,
+  };
+});
@@ -0,0 +1,120 @@
+// === adapters.test.js — Per-state parsers against saved fixture pages ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const adapters = require('../adapters');
+const engine = require('../engine');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+// [prize, value, odds, remaining, total] per tier; value null for ticket tiers.
+function assertTiers(tiers, expected) {
+  assert.equal(tiers.length, expected.length);
+  expected.forEach(([prize, value, odds, remaining, total], i) => {
+    const t = tiers[i];
+    assert.equal(t.prize, prize, `tier ${i} prize`);
+    if (value === null) {
+      assert.ok(t.isTicket, `tier ${i} is a ticket tier`);
+      assert.ok(Number.isNaN(t.value), `tier ${i} value`);
+    } else {
+      assert.ok(!t.isTicket, `tier ${i} is a cash tier`);
+      assert.equal(t.value, value, `tier ${i} value`);
+    }
+    assert.ok(Math.abs(t.odds - odds) < 1e-6 * odds, `tier ${i} odds: ${t.odds} vs ${odds}`);
+    assert.equal(t.remaining, remaining, `tier ${i} remaining`);
+    assert.equal(t.total, total, `tier ${i} total`);
+  });
+}
+
+test('California: parses a game page by its URL', () => {
+  const url = 'https://www.calottery.com/scratchers/$5/cash-crush-1712';
+  const game = adapters.parseGamePage(fixture('ca/cash-crush-1712.html'), url);
+  assert.equal(game.adapter, 'ca');
+  assert.equal(game.name, 'Cash Crush');
+  assert.equal(game.number, '1712');
+  assert.equal(game.ticketPrice, 5);
+  assert.equal(engine.parseOdds(game.claimedOdds), 4.53);
+  assert.equal(engine.parseOdds(game.claimedCashOdds), 6.94);
+  assertTiers(game.tiers, [
+    ['$250,000', 250000, 1219589, 9, 14],
+    ['$10,000', 10000, 588767, 20, 29],
+    ['$500', 500, 3918, 2911, 4358],
+    ['$50', 50, 300, 37760, 56916],
+    ['$10', 10, 15, 756114, 1138320],
+    ['$5', 5, 10, 1132517, 1707480],
+  ]);
+});
+
+test('California: reads a ticket tier and a "$" in the game name', () => {
+  const game = adapters.parseGamePage(fixture('ca/spring-green-1710.html'));
+  assert.equal(game.adapter, 'ca');
+  assert.equal(game.name, '$pring Green');
+  assert.equal(game.number, '1710');
+  assert.equal(game.ticketPrice, 2);
+  assert.equal(engine.parseOdds(game.claimedOdds), 4.25);
+  assertTiers(game.tiers, [
+    ['$20,000', 20000, 610120, 15, 15],
+    ['$1,000', 1000, 62257, 137, 147],
+    ['$4', 4, 12, 644835, 733070],
+    ['Ticket', null, 12, 646383, 732144],
+  ]);
+});
+
+test('Texas: derives tier odds from the print run', () => {
+  const game = adapters.parseGamePage(fixture('tx/2455.html'));
+  assert.equal(game.adapter, 'tx');
+  assert.equal(game.name, 'Lucky 7s Multiplier');
+  assert.equal(game.number, '2455');
+  assert.equal(game.ticketPrice, 5);
+  assert.equal(game.claimedOdds, '1 in 3.96');
+
+  // Print run: 3.96 overall odds × 1,927,514 prizes in the game.
+  const printRun = 3.96 * 1927514;
+  assertTiers(game.tiers, [
+    ['$5', 5, printRun / 1128000, 715623, 1128000],
+    ['$10', 10, printRun / 564000, 358096, 564000],
+    ['$20', 20, printRun / 188000, 119755, 188000],
+    ['$50', 50, printRun / 37600, 23839, 37600],
+    ['$100', 100, printRun / 9400, 6001, 9400],
+    ['$777', 777, printRun / 470, 304, 470],
+    ['$7,777', 7777, printRun / 40, 29, 40],
+    ['$250,000', 250000, printRun / 4, 3, 4],
+  ]);
+  assert.ok(Math.abs(game.tiers[7].odds - 1908238.86) < 0.01);
+});
+
+test('Florida: reads dashed odds and "/WK/LIFE" prize labels', () => {
+  const game = adapters.parseGamePage(fixture('fl/1512.html'));
+  assert.equal(game.adapter, 'fl');
+  assert.equal(game.name, '$5,000,000 Gold Rush Supreme');
+  assert.equal(game.number, '1512');
+  assert.equal(game.ticketPrice, 30);
+  assert.equal(game.claimedOdds, '1 in 2.58');
+  assertTiers(game.tiers, [
+    ['$5,000,000', 5000000, 4800000, 2, 4],
+    ['$1,000/week for life', 1040000, 3200000, 5, 6],
+    ['$100,000', 100000, 600000, 21, 32],
+    ['$10,000', 10000, 40000, 302, 480],
+    ['$1,000', 1000, 3000, 4115, 6400],
+    ['$100', 100, 150, 80457, 128000],
+    ['$50', 50, 30, 402903, 640000],
+    ['$30', 30, 5, 2417880, 3840000],
+    ['FREE TICKET', null, 15, 806126, 1280000],
+  ]);
+});
+
+test('adapters are picked by URL, then by page content', () => {
+  assert.equal(adapters.adapterFor('https://www.texaslottery.com/export/sites/lottery/Games/Scratch_Offs/details.html_2455.html').id, 'tx');
+  assert.equal(adapters.adapterFor('https://www.floridalottery.com/games/scratch-offs/view?id=1512').id, 'fl');
+  assert.equal(adapters.matchAdapter(undefined, fixture('tx/2455.html')).id, 'tx');
+  assert.equal(adapters.matchAdapter(undefined, fixture('fl/1512.html')).id, 'fl');
+  assert.equal(adapters.matchAdapter(undefined, '<table></table>'), null);
+  assert.equal(adapters.adapterFor(undefined, '<table></table>').id, adapters.DEFAULT_ID);
+  assert.equal(adapters.parseGamePage(fixture('tx/2455.html'), undefined, 'fl').adapter, 'fl');
+});
@@ -0,0 +1,66 @@
+// === charts.test.js — SVG chart markup ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const charts = require('../charts');
+
+const count = (svg, re) => (svg.match(re) || []).length;
+
+test('shortNum abbreviates thousands, millions and small values', () => {
+  assert.deepEqual(
+    [1500, 25000, -1500, 2.5e6, 3e9, 0, 3.14159, 0.0123].map(charts.shortNum),
+    ['1.5k', '25k', '-1.5k', '2.5M', '3.0B', '0', '3.14', '0.012']
+  );
+  assert.equal(charts.color(charts.PALETTE.length + 1), charts.PALETTE[1]);
+});
+
+test('lineChart draws each series with a point per value and escapes labels', () => {
+  const day = 86400000;
+  const single = charts.lineChart([{ label: 'M', points: [{ x: 0, y: 3 }, { x: day, y: 2 }, { x: 2 * day, y: NaN }] }]);
+  assert.match(single, /^<svg class="chart" viewBox="0 0 720 260"/);
+  assert.equal(count(single, /<path /g), 1);
+  assert.equal(count(single, /<circle /g), 2);
+  assert.equal(count(single, /chart-legend/g), 0);
+
+  const two = charts.lineChart([
+    { label: '<b>', points: [{ x: 0, y: 10 }, { x: 1, y: 0 }] },
+    { label: 'B', points: [{ x: 0, y: 100 }] },
+  ], { yLog: true, xFormat: String });
+  assert.equal(count(two, /chart-legend/g), 1);
+  assert.equal(count(two, /<circle /g), 2, 'zero has no place on a log axis');
+  assert.ok(two.includes('&lt;b&gt;') && !two.includes('<b>'));
+});
+
+test('barChart keeps row indexes and skips non-positive values on a log axis', () => {
+  const rows = [{ label: '$100', values: [0.5, 0], index: 7 }, { label: 'Ticket', values: [2, 0.25] }];
+  const svg = charts.barChart(rows, { series: ['Now', 'Launch'] });
+  assert.deepEqual(svg.match(/data-index="\d+"/g), ['data-index="7"', 'data-index="1"']);
+  assert.equal(count(svg, /<rect [^>]*fill="#/g), 4 + 2, 'four bars plus two legend swatches');
+
+  const log = charts.barChart(rows, { xLog: true });
+  assert.equal(count(log, /<rect [^>]*fill="#/g), 3);
+  assert.equal(count(log, /chart-baseline/g), 0);
+});
+
+test('scatterChart colors by the sign of z and sizes by its magnitude', () => {
+  const svg = charts.scatterChart([
+    { x: 1, y: -2, z: -4, label: 'A' },
+    { x: 2, y: 1, z: 1, label: 'B', index: 9 },
+    { x: NaN, y: 1, z: 1, label: 'C' },
+  ]);
+  const dots = svg.match(/<circle [^>]*>/g);
+  assert.equal(dots.length, 2);
+  assert.match(dots[0], /r="9\.0" fill="#e74c3c"[^>]*data-index="0"/);
+  assert.match(dots[1], /r="6\.0" fill="#2ecc71"[^>]*data-index="9"/);
+  assert.equal(count(svg, /chart-baseline/g), 2, 'the axis and the zero line');
+});
+
+test('tornadoChart draws a down and an up bar from the base for each row', () => {
+  const svg = charts.tornadoChart([{ label: 'M', down: 1, up: -1, index: -1 }, { label: '$5', down: -0.2, up: 0.2 }], 0);
+  assert.equal(count(svg, /class="chart-row"/g), 2);
+  assert.equal(count(svg, /<title>/g), 4);
+  assert.match(svg, /data-index="-1"/);
+  assert.match(svg, /<title>M, Input down: 1<\/title>/);
+});
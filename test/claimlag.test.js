@@ -0,0 +1,58 @@
+// === claimlag.test.js — Prize-claim lag model ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const claimLag = require('../claimlag');
+const engine = require('../engine');
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} vs ${b}`);
+
+test('a prize falls in the highest band its value reaches', () => {
+  assert.equal(claimLag.bandFor(599).meanDays, 0);
+  assert.equal(claimLag.bandFor(600).meanDays, 7);
+  assert.equal(claimLag.bandFor(50000).meanDays, 21);
+  assert.equal(claimLag.bandFor(5e6).unclaimed, 0.03);
+  const bands = [{ min: 1000, meanDays: 30, unclaimed: 0 }, { min: 0, meanDays: 1, unclaimed: 0 }];
+  assert.equal(claimLag.bandFor(5000, { bands }).meanDays, 30);
+});
+
+test('claimedShare averages an exponential lag over the game\'s age', () => {
+  close(claimLag.claimedShare({ meanDays: 0, unclaimed: 0.05 }, 100), 0.95);
+  close(claimLag.claimedShare({ meanDays: 10, unclaimed: 0.02 }, 100), 0.98 * (1 - 0.1 * (1 - Math.exp(-10))));
+  assert.equal(claimLag.claimedShare({ meanDays: 10, unclaimed: 0 }, 0), 0);
+  assert.ok(claimLag.claimedShare({ meanDays: 10, unclaimed: 0 }, 1000) > claimLag.claimedShare({ meanDays: 10, unclaimed: 0 }, 30));
+});
+
+test('adjustTier moves won-but-unclaimed prizes out of the remaining count', () => {
+  const share = claimLag.claimedShare(claimLag.bandFor(50000), claimLag.DEFAULT_CLAIM_LAG.gameAgeDays);
+  const t = claimLag.adjustTier(50000, 5, 10, {});
+  close(t.claimedShare, share);
+  close(t.remaining, 10 - 5 / share);
+  close(t.pending, 5 - t.remaining);
+
+  assert.equal(claimLag.adjustTier(50000, 10, 10, {}).remaining, 10, 'nothing claimed yet');
+  assert.deepEqual(claimLag.adjustTier(5, 3, 10, {}), { remaining: 3, pending: 0, claimedShare: 1 });
+  const never = { bands: [{ min: 0, meanDays: 0, unclaimed: 1 }] };
+  assert.equal(claimLag.adjustTier(100, 9, 10, never).remaining, 0);
+  assert.equal(claimLag.isEnabled(claimLag.resolveClaimLag({})), false);
+});
+
+test('the engines report claim-lag EV at the same M', () => {
+  const game = {
+    ticketPrice: 5,
+    tiers: [
+      { prize: '$50,000', value: 50000, odds: 100000, remaining: 5, total: 10 },
+      { prize: '$5', value: 5, odds: 5, remaining: 100000, total: 200000 },
+    ],
+  };
+  const options = { estimator: 'median', claimLag: { enabled: true } };
+  const r = engine.computeEV(game, options);
+  const adjusted = claimLag.adjustTier(50000, 5, 10, options.claimLag);
+  close(r.claimLag.evGross, r.evGross - (adjusted.pending / r.M) * 50000);
+  assert.equal(engine.computeEV(game, { estimator: 'median' }).claimLag, null);
+
+  const row = engine.computeOverview(engine.toOverviewGame(Object.assign({ name: 'Lag' }, game)), options);
+  assert.ok(row.claimLagEV < row.calcEV);
+});
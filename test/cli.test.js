@@ -0,0 +1,78 @@
+// === cli.test.js — Exit codes and output formats ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const root = path.join(__dirname, '..');
+const springGreen = path.join(root, 'fixtures', 'ca', 'spring-green-1710.html');
+
+function run(args, input) {
+  return spawnSync(process.execPath, [path.join(root, 'cli.js'), ...args], { cwd: root, input, encoding: 'utf8' });
+}
+
+const list = JSON.stringify([{
+  name: 'A',
+  number: '1',
+  price: 1,
+  tiers: [
+    { label: '$10', value: 10, odds: 10, remaining: 50, total: 100 },
+    { label: 'Ticket', value: 'Ticket', odds: 4, remaining: 125, total: 250 },
+  ],
+}]);
+
+test('help exits 0; bad arguments exit 2 with the usage', () => {
+  const help = run(['--help']);
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /^Usage: node cli\.js/);
+
+  for (const args of [[], ['--format', 'xml', springGreen], ['--no-such-flag', springGreen], ['--estimator', 'guess', springGreen]]) {
+    const r = run(args);
+    assert.equal(r.status, 2, args.join(' '));
+    assert.match(r.stderr, /Usage:/);
+    assert.equal(r.stdout, '');
+  }
+});
+
+test('an unreadable file exits 1 but the others are still reported', () => {
+  const r = run(['--format', 'csv', path.join(root, 'fixtures', 'missing.html'), springGreen]);
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /missing\.html: /);
+  assert.match(r.stdout, /^Prize,Odds,Remaining,Total,/);
+});
+
+test('a saved page reports per tier in every format', () => {
+  const json = run(['--format', 'json', springGreen]);
+  assert.equal(json.status, 0);
+  const report = JSON.parse(json.stdout);
+  assert.equal(report.game.number, '1710');
+  assert.equal(report.tiers.length, 4);
+  assert.equal(report.estimator, 'ticket-anchor');
+
+  const csvOut = run(['--format', 'csv', springGreen]).stdout.trim().split('\n');
+  assert.equal(csvOut.length, 1 + report.tiers.length);
+
+  const table = run([springGreen]);
+  assert.equal(table.status, 0);
+  assert.match(table.stdout, /\$pring Green/);
+});
+
+test('a JSON game list on stdin reports one row per game', () => {
+  const r = run(['--format', 'csv', '-'], list);
+  assert.equal(r.status, 0);
+  const [header, row] = r.stdout.trim().split('\n');
+  assert.match(header, /^Price,Game,Number,/);
+  assert.match(row, /^1,A,1,/);
+});
+
+test('--index loads each linked page from --pages', () => {
+  const r = run(['--index', '--pages', path.join(root, 'fixtures', 'ca'), '--url', 'https://www.calottery.com/scratchers',
+    '--format', 'json', path.join(root, 'fixtures', 'ca', 'index.html')]);
+  assert.equal(r.status, 0);
+  assert.match(r.stderr, /Loaded 2 of 2 game pages/);
+  const { games } = JSON.parse(r.stdout);
+  assert.deepEqual(games.map((g) => g.number).sort(), ['1710', '1712']);
+});
@@ -0,0 +1,93 @@
+// === csv.test.js — CSV/TSV import and export ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../csv');
+
+const COLUMNS = [
+  ['Game Number', (r) => r.number],
+  ['Game Name', (r) => r.name],
+  ['Ticket Price', (r) => r.price],
+  ['Prize', (r) => r.prize],
+  ['Odds', (r) => r.odds],
+  ['Remaining', (r) => r.remaining],
+  ['Total', (r) => r.total],
+];
+
+const ROWS = [
+  { number: '1710', name: 'Spring, "Green"', price: 2, prize: '$20,000', odds: 610120, remaining: 15, total: 15 },
+  { number: '1710', name: 'Spring, "Green"', price: 2, prize: 'Ticket', odds: 12, remaining: 646383, total: 732144 },
+  { number: '1712', name: 'Cash Crush', price: 5, prize: '$1,000/week for life', odds: 588767, remaining: 20, total: 29 },
+];
+
+test('exported rows import back as the same games', () => {
+  const text = csv.toCsv(COLUMNS, ROWS, csv.optionsHeader({ ignoreUnder500: true, payout: { mode: 'lump', cashOptionRatio: 0.5 } }));
+  const rows = csv.parseDelimited(text);
+  assert.deepEqual(rows[0].slice(), COLUMNS.map((c) => c[0]));
+  const { games, errors } = csv.rowsToGames(rows.slice(1), csv.guessMapping(rows[0]));
+  assert.deepEqual(errors, []);
+  assert.equal(games.length, 2);
+  assert.equal(games[0].name, 'Spring, "Green"');
+  assert.equal(games[0].price, 2);
+  assert.deepEqual(games[0].tiers.map((t) => [t.value, t.isTicket, t.odds, t.remaining, t.total]), [
+    [20000, false, 610120, 15, 15],
+    ['Ticket', true, 12, 646383, 732144],
+  ]);
+  assert.equal(games[1].tiers[0].value, '$1,000/week for life');
+});
+
+test('tab-separated input and "N of M" remaining counts', () => {
+  const text = 'Game No.\tName\tPrice\tPrize\tOdds 1 in\tPrizes remaining\n9\tTab Game\t$3\t$50\t300\t37 of 56\n';
+  assert.equal(csv.detectDelimiter(text), '\t');
+  const rows = csv.parseDelimited(text);
+  const { games } = csv.rowsToGames(rows.slice(1), csv.guessMapping(rows[0]));
+  assert.deepEqual(games[0].tiers[0].remaining, 37);
+  assert.deepEqual(games[0].tiers[0].total, 56);
+});
+
+test('"#" rows after the header are data, not comments', () => {
+  const text = '# Options line\nnumber,name,price,prize,odds,remaining\n#1,#1 Lucky,1,$5,10,3\n';
+  const rows = csv.parseDelimited(text);
+  assert.equal(rows.length, 2);
+  assert.deepEqual(rows[1].slice(0, 2), ['#1', '#1 Lucky']);
+  const { games } = csv.rowsToGames(rows.slice(1), csv.guessMapping(rows[0]));
+  assert.equal(games[0].number, '#1');
+});
+
+test('row errors name the source line', () => {
+  const text = [
+    '# Options line',
+    'number,name,price,prize,odds,remaining',
+    '',
+    '1,"Two',
+    'lines",1,$5,10,3',
+    '1,Bad,1,$5,,3',
+  ].join('\r\n');
+  const rows = csv.parseDelimited(text);
+  assert.deepEqual(rows.map((r) => r.line), [2, 4, 6]);
+  const { errors } = csv.rowsToGames(rows.slice(1), csv.guessMapping(rows[0]));
+  assert.deepEqual(errors, ['Row 6: needs a prize, odds and remaining count.']);
+});
+
+test('text a spreadsheet would run as a formula is neutralized', () => {
+  const out = csv.toCsv([['Name', (r) => r.name], ['EV', (r) => r.ev]], [
+    { name: '=HYPERLINK("http://x")', ev: -1.5 },
+    { name: '+1', ev: 0 },
+    { name: '-2', ev: 0 },
+    { name: '@SUM(A1)', ev: 0 },
+    { name: '\tTab', ev: 0 },
+  ]).split('\n');
+  assert.deepEqual(out.slice(1), [
+    '"\'=HYPERLINK(""http://x"")",-1.5',
+    "'+1,0",
+    "'-2,0",
+    "'@SUM(A1),0",
+    "'\tTab,0",
+  ]);
+});
+
+test('missing required columns are reported', () => {
+  assert.throws(() => csv.rowsToGames([['1']], { number: 0 }), /Missing column mapping for: Prize, Tier odds/);
+});
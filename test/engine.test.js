@@ -0,0 +1,124 @@
+// === engine.test.js — EV engine and odds check ===
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+
+const close = (a, b, msg) => assert.ok(Math.abs(a - b) < 1e-9, msg || `${a} vs ${b}`);
+
+// 500 tickets left by the ticket anchor (250 × 4 × 125/250): a $10 prize
+// one draw in ten and a free ticket one in four.
+const small = () => ({
+  ticketPrice: 1,
+  tiers: [
+    { prize: '$10', value: 10, odds: 10, remaining: 50, total: 100 },
+    { prize: 'Ticket', value: NaN, isTicket: true, odds: 4, remaining: 125, total: 250 },
+  ],
+});
+
+test('computeEV prices each tier at remaining / M', () => {
+  const r = engine.computeEV(small(), { ticketValuation: 'price' });
+  assert.equal(r.M, 500);
+  assert.equal(r.estimator, 'ticket-anchor');
+  close(r.tiers[0].probability, 0.1);
+  close(r.tiers[1].probability, 0.25);
+  close(r.evGross, 0.1 * 10 + 0.25 * 1);
+  close(r.evNet, r.evGross - 1);
+});
+
+test('computeEV reports what it needs instead of throwing', () => {
+  assert.match(engine.computeEV({ ticketPrice: 0, tiers: [] }, {}).error, /ticket price/);
+  assert.equal(engine.computeOverview({ price: 5, tiers: [] }, {}), null);
+});
+
+test('the calculator and overview engines agree on a parsed page', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'ca', 'spring-green-1710.html'), 'utf8');
+  const game = engine.parseCalotteryHtml(html);
+  assert.equal(game.number, '1710');
+  assert.equal(game.tiers.length, 4);
+  const ev = engine.computeEV(game, {});
+  const row = engine.computeOverview(engine.toOverviewGame(game), { estimator: 'ticket-anchor' });
+  assert.equal(row.M, ev.M);
+  close(row.calcEV, ev.evNet);
+});
+
+// Launch: 1,000,000 tickets. The $100 tier has sold out faster than the
+// rest, so fewer winners are left per ticket than at launch.
+const game = {
+  name: 'Drift',
+  price: 5,
+  claimedOdds: '1 in 4.00',
+  tiers: [
+    { value: 100, odds: 1000, remaining: 100, total: 1000 },
+    { value: 10, odds: 20, remaining: 25000, total: 50000 },
+    { value: 5, odds: 5, remaining: 100000, total: 200000 },
+  ],
+};
+
+test('overview odds drift is measured against the launch odds', () => {
+  const row = engine.computeOverview(game, {});
+  assert.equal(row.estimator, 'scaled-mean');
+  const o = row.oddsCheck.overall;
+  assert.ok(Math.abs(o.launch - 1e6 / 251000) < 1e-9);
+  assert.ok(Math.abs(o.drift - (row.oddsDriftM / 125100 / o.launch - 1)) < 1e-12);
+  assert.ok(row.oddsDrift > 0, `drift ${row.oddsDrift}`);
+});
+
+test('odds drift does not depend on the claimed odds', () => {
+  const a = engine.computeOverview(game, {});
+  const b = engine.computeOverview(Object.assign({}, game, { claimedOdds: '1 in 3.00' }), {});
+  assert.equal(b.oddsDrift, a.oddsDrift);
+  assert.notEqual(b.oddsCheck.overall.launchDiff, a.oddsCheck.overall.launchDiff);
+});
+
+test('overview cash odds use the row\'s own M; drift names the M it used', () => {
+  const row = engine.computeOverview(game, {});
+  const cashLeft = game.tiers.reduce((s, t) => s + t.remaining, 0);
+  assert.ok(Math.abs(row.cashOddsVal - row.M / cashLeft) < 1e-9);
+  assert.ok(Math.abs(row.calcOddsVal - row.M / cashLeft) < 1e-9);
+  assert.equal(row.oddsCheck.M, row.M);
+  assert.equal(row.oddsCheck.drift.id, 'median');
+  assert.equal(row.oddsDriftM, row.oddsCheck.drift.M);
+  assert.notEqual(row.oddsDriftM, row.M);
+});
+
+test('hit odds draw without replacement', () => {
+  close(engine.probAtLeastOne(10, 1, 1), 0.1);
+  close(engine.probAtLeastOne(10, 1, 2), 1 - (9 / 10) * (8 / 9));
+  close(engine.probAtLeastOne(10, 3, 4), 1 - (7 * 6 * 5 * 4) / (10 * 9 * 8 * 7));
+  assert.equal(engine.probAtLeastOne(10, 3, 8), 1, 'more draws than losers');
+  assert.equal(engine.probAtLeastOne(10, 0, 5), 0);
+  assert.equal(engine.expectedTicketsToFirst(9, 1), 5);
+  assert.equal(engine.expectedTicketsToFirst(9, 0), Infinity);
+});
+
+test('computeHitOdds finds the top cash prize and its tickets to first', () => {
+  const result = engine.computeEV(small(), {});
+  const hit = engine.computeHitOdds(result, 10);
+  assert.equal(hit.topPrize, '$10');
+  assert.equal(hit.topRemaining, 50);
+  close(hit.ticketsToFirstTop, 501 / 51);
+  assert.equal(hit.tiers.length, 2);
+  close(hit.tiers[0], engine.probAtLeastOne(500, 50, 10));
+  assert.ok(hit.tiers[1] > hit.tiers[0], 'tickets are more plentiful');
+});
+
+test('a free ticket is worth the game\'s own gross EV', () => {
+  const r = engine.computeEV(small(), {});
+  assert.equal(r.ticketValuation.method, 'recursive');
+  close(r.ticketValuation.value, 1 / 0.75);
+  close(r.tiers[1].adjustedValue, r.evGross, 'V = cashEV + pTicket × V');
+
+  const row = engine.computeOverview(engine.toOverviewGame(Object.assign(small(), { name: 'Small' })), { estimator: 'ticket-anchor' });
+  close(row.ticketValue, row.calcEV + 1);
+});
+
+test('the flat rule, and a game of only free tickets, value them at the price', () => {
+  assert.deepEqual(engine.solveTicketValue(2, 0.5, 5, { ticketValuation: 'price' }), { method: 'price', value: 5, cashEV: 2, pTicket: 0.5 });
+  assert.equal(engine.solveTicketValue(0, 1, 5, {}).method, 'price');
+  assert.equal(engine.solveTicketValue(2, 0.5, 5, {}).value, 4);
+});
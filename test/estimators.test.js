@@ -0,0 +1,58 @@
+// === estimators.test.js — Remaining-ticket (M) estimators ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const estimators = require('../estimators');
+const engine = require('../engine');
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} vs ${b}`);
+
+// Half of a 20,000-ticket game sold, every tier exactly on its odds: each
+// estimator should find the 10,000 left.
+const exact = [
+  { odds: 10, remaining: 1000, total: 2000, isTicket: false },
+  { odds: 100, remaining: 100, total: 200, isTicket: false },
+  { odds: 5, remaining: 2000, total: 4000, isTicket: true },
+];
+
+test('every built-in estimator recovers M from exact data', () => {
+  const ids = estimators.listEstimators().map((e) => e.id);
+  assert.deepEqual(ids.slice(0, 5), ['ticket-anchor', 'median', 'scaled-mean', 'wls', 'mle']);
+  for (const id of ids.slice(0, 5)) {
+    const e = estimators.estimateM(id, exact);
+    assert.equal(e.id, id);
+    assert.equal(e.fallback, false);
+    close(e.M, 10000);
+  }
+});
+
+test('estimators differ once tiers sell unevenly', () => {
+  const uneven = exact.map((t, i) => Object.assign({}, t, { remaining: i === 1 ? 20 : t.remaining }));
+  close(estimators.estimateM('median', uneven).M, 10000);
+  close(estimators.estimateM('mle', uneven).M, 3020 / (0.1 + 0.01 + 0.2));
+  close(estimators.estimateM('scaled-mean', uneven).M, (20000 * 3020) / 6200);
+});
+
+test('an estimator with nothing to work with falls back to the median', () => {
+  const cashOnly = exact.slice(0, 2);
+  const e = estimators.estimateM('ticket-anchor', cashOnly);
+  assert.deepEqual([e.id, e.fallback, e.label], ['median', true, 'Median fallback']);
+  close(e.M, 10000);
+  assert.equal(estimators.estimateM('no-such-id', exact).id, 'median');
+  assert.equal(estimators.estimateM('median', [{ odds: NaN, remaining: 5, total: 5 }]), null);
+});
+
+test('registered estimators join the engine comparison', () => {
+  estimators.registerEstimator('test-double', 'Doubled median', (tiers) => 2 * estimators.estimateM('median', tiers).M);
+  const game = {
+    ticketPrice: 1,
+    tiers: exact.map((t) => Object.assign({ prize: t.isTicket ? 'Ticket' : `$${t.odds}`, value: t.isTicket ? NaN : t.odds / 2 }, t)),
+  };
+  const cmp = engine.compareEstimatorsEV(game, {});
+  const doubled = cmp.rows.find((r) => r.id === 'test-double');
+  close(doubled.M, 20000);
+  close(cmp.mSpread, 10000);
+  assert.ok(cmp.evSpread > 0);
+});
@@ -0,0 +1,63 @@
+// === forecast.test.js — Sales rate, sell-out and tier run-out ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const forecast = require('../forecast');
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} vs ${b}`);
+
+// A 10,000-ticket game; by the median of tiers 8,000 are left on Jan 1 and
+// 7,000 ten days later. No $100 prize was claimed in between.
+function snap(day, remaining) {
+  return {
+    takenAt: new Date(Date.UTC(2026, 0, 1 + day)).toISOString(),
+    price: 1,
+    tiers: [
+      { label: '$100', value: 100, odds: 1000, remaining: remaining[0], total: 10 },
+      { label: '$10', value: 10, odds: 10, remaining: remaining[1], total: 1000 },
+      { label: 'Ticket', value: 'Ticket', isTicket: true, odds: 5, remaining: remaining[2], total: 2000 },
+    ],
+  };
+}
+const history = [snap(10, [8, 700, 1400]), snap(0, [8, 800, 1600])];
+const options = { estimator: 'median' };
+
+test('the sales rate is the fitted fall in M, and the game sells out at that rate', () => {
+  const f = forecast.forecastGame(history, options);
+  assert.equal(f.snapshots, 2);
+  assert.equal(f.from, '2026-01-01T00:00:00.000Z');
+  close(f.spanDays, 10);
+  close(f.salesPerDay, 100);
+  close(f.M, 7000);
+  close(f.sellOutDays, 70);
+  assert.equal(f.sellOutDate, '2026-03-22T00:00:00.000Z');
+});
+
+test('tiers run out at their observed rate, or by their share when unclaimed', () => {
+  const f = forecast.forecastGame(history, options);
+  assert.deepEqual(f.tiers.map((t) => t.label), ['$100', '$10', 'Ticket']);
+  const [top, ten] = f.tiers;
+  assert.equal(ten.source, 'observed');
+  close(ten.claimedPerDay, 10);
+  close(ten.runOutDays, 70);
+  assert.equal(top.source, 'proportional');
+  close(top.claimedPerDay, (100 * 8) / 7000);
+  close(top.runOutDays, (7000 * 8) / 9 / 100);
+});
+
+test('the EV path starts at today\'s EV and shrinks M as the game sells', () => {
+  const f = forecast.forecastGame(history, options);
+  assert.deepEqual(f.evPath.map((p) => p.soldShare), forecast.EV_PATH_SHARES);
+  close(f.evPath[0].M, 7000);
+  close(f.evPath[2].M, 3500);
+  close(f.evPath[2].days, 35);
+  assert.ok(f.evPath.every((p) => isFinite(p.ev)));
+});
+
+test('histories that cannot support a forecast say why', () => {
+  assert.match(forecast.forecastGame(history.slice(0, 1), options).error, /two snapshots/);
+  assert.match(forecast.forecastGame([snap(0, [8, 800, 1600]), snap(0, [8, 700, 1400])], options).error, /different times/);
+  assert.match(forecast.forecastGame([snap(0, [8, 800, 1600]), snap(5, [8, 800, 1600])], options).error, /No sales/);
+});
@@ -0,0 +1,68 @@
+// === loader.test.js — Loading every game linked from the index ===
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const loader = require('../loader');
+
+const dir = path.join(__dirname, '..', 'fixtures', 'ca');
+const INDEX = 'https://www.calottery.com/scratchers';
+const SPRING = 'https://www.calottery.com/scratchers/$2/spring-green-1710';
+const CRUSH = 'https://www.calottery.com/scratchers/$5/cash-crush-1712';
+
+// Serves the saved pages; `failures` maps a URL to how many times it fails
+// before it is served.
+function fixtureFetcher(failures) {
+  const left = Object.assign({}, failures);
+  return async (url) => {
+    if (left[url] > 0) {
+      left[url]--;
+      throw new Error('Failed to fetch page (HTTP 503)');
+    }
+    return fs.readFileSync(path.join(dir, loader.pageFileName(url)), 'utf8');
+  };
+}
+
+test('game links are found once each, skipping price-filter views', () => {
+  const html = fs.readFileSync(path.join(dir, 'index.html'), 'utf8') +
+    '<a href="/scratchers/$5/cash-crush-1712/?ref=home">again</a>';
+  assert.deepEqual(loader.findGameUrls(html, INDEX), [SPRING, CRUSH]);
+});
+
+test('saved pages are named after the last URL segment', () => {
+  assert.equal(loader.pageFileName(SPRING + '/?x=1'), 'spring-green-1710.html');
+  assert.equal(loader.pageFileName(INDEX), 'index.html');
+  assert.equal(loader.pageFileName('https://example.com/games/a%20b'), 'a b.html');
+});
+
+test('loadIndex retries failed fetches with backoff', async () => {
+  const waits = [];
+  const fetcher = fixtureFetcher({ [SPRING]: 2 });
+  const seen = [];
+  const result = await loader.loadIndex(INDEX, fetcher, { sleep: async (ms) => waits.push(ms), retryDelay: 10 },
+    (e) => seen.push(`${e.url === SPRING ? 'spring' : 'crush'}:${e.status}`));
+  assert.deepEqual(result.urls, [SPRING, CRUSH]);
+  assert.deepEqual(result.games.map((g) => g.number), ['1710', '1712']);
+  assert.equal(result.entries[0].attempts, 3);
+  assert.deepEqual(waits, [10, 20]);
+  assert.deepEqual(seen.filter((s) => s.startsWith('spring')),
+    ['spring:queued', 'spring:fetching', 'spring:retrying', 'spring:fetching', 'spring:retrying', 'spring:fetching', 'spring:done']);
+});
+
+test('a page that keeps failing, or has no prize table, is reported and skipped', async () => {
+  const fetcher = fixtureFetcher({ [CRUSH]: 5 });
+  const noTable = async (url) => (url === SPRING ? '<html><h1>Empty (1)</h1></html>' : fetcher(url));
+  const result = await loader.loadIndex(INDEX, noTable, { sleep: async () => {}, retries: 1 });
+  assert.deepEqual(result.games, []);
+  const [spring, crush] = result.entries;
+  assert.deepEqual([spring.status, spring.attempts], ['error', 1]);
+  assert.match(spring.error, /prize tiers/);
+  assert.deepEqual([crush.status, crush.attempts, crush.error], ['error', 2, 'Failed to fetch page (HTTP 503)']);
+});
+
+test('an index with no game links is an error', async () => {
+  await assert.rejects(loader.loadIndex(INDEX, async () => '<html></html>'), /No game links/);
+});
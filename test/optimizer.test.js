@@ -0,0 +1,78 @@
+// === optimizer.test.js — Budget allocation across games ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const optimizer = require('../optimizer');
+
+// An overview row with one prize tier: `value` won with chance `p`.
+function row(name, price, value, p) {
+  return {
+    name,
+    price,
+    calcEV: value * p - price,
+    tiers: [{ isTicket: false, value, adjustedValue: value, probability: p }],
+  };
+}
+
+const cheap = row('Cheap', 1, 5, 0.15); // EV -0.25, 25% loss per dollar
+const mid = row('Mid', 5, 100, 0.04); // EV -1, 20% loss per dollar
+const big = row('Big', 10, 100000, 0.00005); // EV -5, long shot
+
+test('expected-return goal buys the best EV per dollar and spends the budget', () => {
+  const plan = optimizer.optimizeBudget([cheap, mid, big], 20, { id: 'ev' });
+  assert.equal(plan.mix.spent, 20);
+  assert.deepEqual(plan.mix.allocation.map((a) => [a.row.name, a.count]), [['Mid', 4]]);
+  assert.ok(Math.abs(plan.mix.ev - -4) < 1e-9);
+  assert.deepEqual(plan.single.allocation.map((a) => [a.row.name, a.count]), [['Mid', 4]]);
+});
+
+test('prize goal buys the tickets that can reach the prize', () => {
+  const plan = optimizer.optimizeBudget([cheap, mid, big], 20, { id: 'prize', prizeAmount: 1000 });
+  assert.deepEqual(plan.mix.allocation.map((a) => [a.row.name, a.count]), [['Big', 2]]);
+  assert.ok(Math.abs(plan.mix.prizeChance - (1 - (1 - 0.00005) ** 2)) < 1e-12);
+});
+
+test('loss goal never raises the loss chance above the best single-game plan', () => {
+  const plan = optimizer.optimizeBudget([cheap, mid, big], 20, { id: 'loss', lossPercent: 50 });
+  assert.equal(plan.mix.spent, 20);
+  const singles = [cheap, mid, big].map((g) => optimizer.optimizeBudget([g], 20, { id: 'loss', lossPercent: 50 }).mix.lossChance);
+  assert.ok(plan.mix.lossChance <= Math.min(...singles) + 1e-12);
+});
+
+test('price limits and errors', () => {
+  const plan = optimizer.optimizeBudget([cheap, mid, big], 20, { id: 'ev' }, { minPrice: 10 });
+  assert.deepEqual(plan.mix.allocation.map((a) => a.row.name), ['Big']);
+  assert.match(optimizer.optimizeBudget([cheap], 0, { id: 'ev' }).error, /budget above zero/);
+  assert.match(optimizer.optimizeBudget([big], 5, { id: 'ev' }).error, /within the budget/);
+  assert.match(optimizer.optimizeBudget([cheap], 5, { id: 'prize', prizeAmount: 1000 }).error, /\$1000 or more/);
+});
+
+test('a fractional price is left out instead of rounded', () => {
+  const odd = row('Half', 0.4, 100, 0.5); // would round to a free ticket
+  const plan = optimizer.optimizeBudget([odd, cheap], 3, { id: 'ev' });
+  assert.deepEqual(plan.unpriced.map((r) => r.name), ['Half']);
+  assert.deepEqual(plan.mix.allocation.map((a) => [a.row.name, a.count]), [['Cheap', 3]]);
+  assert.equal(plan.mix.spent, 3);
+
+  const onlyOdd = optimizer.optimizeBudget([row('Odd', 2.5, 10, 0.2)], 10, { id: 'ev' });
+  assert.match(onlyOdd.error, /whole-dollar/);
+});
+
+test('a zero price is left out and the search ends', () => {
+  const free = row('Free', 0, 10, 0.5);
+  const plan = optimizer.optimizeBudget([free, cheap], 2, { id: 'ev' });
+  assert.deepEqual(plan.unpriced.map((r) => r.name), ['Free']);
+  assert.deepEqual(plan.mix.allocation.map((a) => [a.row.name, a.count]), [['Cheap', 2]]);
+});
+
+test('bigPrizeChance sums the tiers at or above the amount', () => {
+  const r = { tiers: [
+    { isTicket: false, value: 50, probability: 0.1 },
+    { isTicket: false, value: 500, probability: 0.01 },
+    { isTicket: true, value: NaN, probability: 0.2 },
+  ] };
+  assert.equal(optimizer.bigPrizeChance(r, 50), 0.11);
+  assert.equal(optimizer.bigPrizeChance(r, 100), 0.01);
+});
@@ -0,0 +1,67 @@
+// === permalink.test.js — Calculator links round trip ===
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const permalink = require('../permalink');
+
+const page = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'ca', 'spring-green-1710.html'), 'utf8');
+
+// Fill the engine's fields the way the calculator form does from a row
+function withValues(game) {
+  return Object.assign({}, game, {
+    tiers: game.tiers.map((t) => Object.assign({}, t, {
+      isTicket: engine.isTicketTier(t.prize),
+      value: engine.isTicketTier(t.prize) ? NaN : engine.parsePrizeValue(t.prize),
+    })),
+  });
+}
+
+test('a parsed page survives the link and prices the same', () => {
+  const game = engine.parseCalotteryHtml(page);
+  const options = { applyTax: true, estimator: 'median' };
+  const link = permalink.gameLink('index.html', game, options);
+  assert.match(link, /^index\.html#game=[A-Za-z0-9_-]+$/);
+
+  const decoded = permalink.decodeGame(permalink.fromHash(link.slice(link.indexOf('#'))));
+  assert.deepEqual(decoded.options, options);
+  assert.deepEqual(
+    [decoded.game.name, decoded.game.number, decoded.game.ticketPrice, decoded.game.claimedOdds],
+    [game.name, game.number, game.ticketPrice, game.claimedOdds]
+  );
+  assert.deepEqual(decoded.game.tiers, game.tiers.map(({ prize, odds, remaining, total }) => ({ prize, odds, remaining, total })));
+  assert.equal(engine.computeEV(withValues(decoded.game), options).evNet, engine.computeEV(game, options).evNet);
+});
+
+test('overview games, numeric prizes and non-ASCII names encode too', () => {
+  const game = {
+    name: 'Café ★ Gold',
+    number: 42,
+    price: 10,
+    tiers: [
+      { value: 1000000, odds: '1 in 2,400,000', remaining: 1, total: 2 },
+      { value: 'Ticket', isTicket: true, odds: 8.5, remaining: 900 },
+    ],
+  };
+  const { game: g, options } = permalink.decodeGame(permalink.encodeGame(game));
+  assert.equal(options, null);
+  assert.deepEqual([g.name, g.number, g.ticketPrice], ['Café ★ Gold', '42', 10]);
+  assert.deepEqual(g.tiers, [
+    { prize: '$1,000,000', odds: 2400000, remaining: 1, total: 2 },
+    { prize: 'Ticket', odds: 8.5, remaining: 900, total: 900 },
+  ]);
+});
+
+test('damaged, foreign and empty links are rejected with a reason', () => {
+  const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+  assert.throws(() => permalink.decodeGame('not*base64'), /damaged/);
+  assert.throws(() => permalink.decodeGame(encode({ v: 1 })), /damaged/);
+  assert.throws(() => permalink.decodeGame(encode({ v: 2, t: [] })), /version: 2/);
+  assert.throws(() => permalink.decodeGame(encode({ v: 1, t: [['$5', 10]] })), /no prize tiers/);
+  assert.equal(permalink.fromHash('#other=1'), null);
+  assert.equal(permalink.fromHash(''), null);
+});
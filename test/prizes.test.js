@@ -0,0 +1,58 @@
+// === prizes.test.js — Periodic prize labels and annuity valuation ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const prizes = require('../prizes');
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} vs ${b}`);
+
+test('parseAmount reads separators and K/M units', () => {
+  assert.equal(prizes.parseAmount('$1,000'), 1000);
+  assert.equal(prizes.parseAmount('$1.5M'), 1.5e6);
+  assert.equal(prizes.parseAmount('$100K'), 1e5);
+  assert.equal(prizes.parseAmount('$5 Million'), 5e6);
+  assert.ok(Number.isNaN(prizes.parseAmount('Ticket')));
+});
+
+test('periodic labels name a payment, a period and a term', () => {
+  const life = prizes.parsePrizeLabel('$1,000/week for life');
+  assert.equal(life.periodic, true);
+  assert.equal(life.payment, 1000);
+  assert.equal(life.period, 'week');
+  assert.equal(life.years, null);
+  assert.equal(life.amount, 1000 * 52 * prizes.DEFAULT_PAYOUT.termYears);
+
+  const month = prizes.parsePrizeLabel('$5,000 a month for 25 years');
+  assert.deepEqual([month.period, month.years, month.amount], ['month', 25, 5000 * 12 * 25]);
+
+  assert.equal(prizes.parsePrizeLabel('$2,500 MONTHLY').period, 'month');
+  assert.equal(prizes.parsePrizeLabel('$1,000/WK/LIFE').period, 'week');
+  assert.deepEqual(prizes.parsePrizeLabel('$50,000'), { label: '$50,000', periodic: false, amount: 50000 });
+  assert.equal(prizes.parsePrizeLabel(20).amount, 20);
+});
+
+test('lump mode takes the cash option of a periodic prize', () => {
+  const info = prizes.parsePrizeLabel('$1,000/week for 10 years');
+  close(prizes.valuePrize(info.amount, info, { mode: 'lump', cashOptionRatio: 0.6 }), 520000 * 0.6);
+  assert.deepEqual(prizes.taxableAmount(info.amount, info, { cashOptionRatio: 0.6 }), { amount: 520000 * 0.6, basis: 'cash option' });
+});
+
+test('annuity mode discounts the payments, taxed one year at a time', () => {
+  const info = prizes.parsePrizeLabel('$12,000 a year for 3 years');
+  const settings = { mode: 'annuity', discountRate: 10 };
+  close(prizes.valuePrize(info.amount, info, settings), 12000 + 12000 / 1.1 + 12000 / 1.21);
+  close(prizes.valuePrize(info.amount, info, settings, (x) => x / 2), 6000 + 6000 / 1.1 + 6000 / 1.21);
+  assert.deepEqual(prizes.taxableAmount(info.amount, info, settings), { amount: 12000, basis: 'per year' });
+  close(prizes.presentValue(100, 12, 2, 0), 2400);
+});
+
+test('lump prizes pay as annuities only at or above a threshold', () => {
+  const lump = prizes.parsePrizeLabel('$1,000,000');
+  assert.equal(prizes.annuityTerms(1e6, lump, {}), null, 'off by default');
+  assert.equal(prizes.valuePrize(1e6, lump, {}), 1e6);
+  assert.deepEqual(prizes.annuityTerms(1e6, lump, { annuityThreshold: 1e6, termYears: 20 }), { payment: 50000, periodsPerYear: 1, years: 20 });
+  assert.equal(prizes.annuityTerms(999999, lump, { annuityThreshold: 1e6 }), null);
+  close(prizes.valuePrize(1e6, lump, { annuityThreshold: 1e6 }), 5e5);
+});
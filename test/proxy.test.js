@@ -0,0 +1,68 @@
+// === proxy.test.js — Redirects are checked hop by hop ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProxy } = require('../proxy');
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+test('a redirect to a host off the allowlist is never requested', async (t) => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-test-'));
+  let outsideHits = 0;
+  const outside = http.createServer((req, res) => {
+    outsideHits++;
+    res.end('internal');
+  });
+  const outsidePort = await listen(outside);
+
+  // 127.0.0.1 is allowed; "localhost" is not.
+  const upstream = http.createServer((req, res) => {
+    if (req.url === '/away') {
+      res.writeHead(302, { Location: `http://localhost:${outsidePort}/secret` });
+    } else if (req.url === '/loop') {
+      res.writeHead(302, { Location: '/loop' });
+    } else if (req.url === '/hop') {
+      res.writeHead(301, { Location: '/page' });
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<p>page</p>');
+    }
+    res.end();
+  });
+  const upstreamPort = await listen(upstream);
+
+  const proxy = createProxy({ cacheDir, rate: 1000, timeout: 5, allow: ['127.0.0.1'] });
+  const proxyPort = await listen(proxy);
+  t.after(async () => {
+    await Promise.all([close(proxy), close(upstream), close(outside)]);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  const get = (p) => fetch(`http://127.0.0.1:${proxyPort}/raw?url=` +
+    encodeURIComponent(`http://127.0.0.1:${upstreamPort}${p}`));
+
+  const away = await get('/away');
+  assert.equal(away.status, 502);
+  assert.match(await away.text(), /not allowed: localhost/);
+  assert.equal(outsideHits, 0);
+
+  const loop = await get('/loop');
+  assert.equal(loop.status, 502);
+  assert.match(await loop.text(), /redirects/);
+
+  const hop = await get('/hop');
+  assert.equal(hop.status, 200);
+  assert.equal(await hop.text(), '<p>page</p>');
+});
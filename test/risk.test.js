@@ -0,0 +1,50 @@
+// === risk.test.js — Variance and risk of ruin ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const risk = require('../risk');
+
+const close = (a, b, eps) => assert.ok(Math.abs(a - b) < (eps || 1e-9), `${a} vs ${b}`);
+
+// One ticket in ten wins $10 (mean 1, second moment 10), one in four a
+// free ticket worth its $1 price.
+const tiers = [
+  { value: 10, adjustedValue: 10, probability: 0.1, isTicket: false },
+  { value: 1, adjustedValue: 1, probability: 0.25, isTicket: true },
+];
+
+test('computeRisk measures the spread of one ticket\'s return', () => {
+  const r = risk.computeRisk(tiers, 1, {});
+  const mean = 1.25;
+  close(r.variance, 10 + 0.25 - mean * mean);
+  close(r.stdDev, Math.sqrt(r.variance));
+  close(r.cv, r.stdDev / mean);
+  close(r.topShare, 1 / mean, 1e-12);
+  assert.equal(r.topTierCount, risk.TOP_TIER_COUNT);
+  assert.ok(Number.isNaN(r.ruinRisk), 'no bankroll given');
+});
+
+test('risk of ruin follows gambler\'s ruin with drift', () => {
+  close(risk.riskOfRuin(0, 4, 25, 100), 0.75);
+  close(risk.riskOfRuin(1e-14, 4, 25, 100), 0.75, 1e-6);
+
+  const theta = (2 * 0.1) / 4;
+  close(risk.riskOfRuin(0.1, 4, 25, 100),
+    (Math.exp(-theta * 25) - Math.exp(-theta * 100)) / (1 - Math.exp(-theta * 100)));
+  close(risk.riskOfRuin(-0.1, 4, 25, 100),
+    (Math.exp(theta * 25) - Math.exp(theta * 100)) / (1 - Math.exp(theta * 100)));
+
+  // Far from overflowing for a steep losing game
+  const steep = risk.riskOfRuin(-5, 1, 100, 1000);
+  assert.ok(steep > 0.999 && steep <= 1, String(steep));
+});
+
+test('edge cases', () => {
+  assert.equal(risk.riskOfRuin(-1, 0, 10, 20), 1);
+  assert.equal(risk.riskOfRuin(1, 0, 10, 20), 0);
+  assert.ok(Number.isNaN(risk.riskOfRuin(0, 1, 0, 20)));
+  assert.ok(Number.isNaN(risk.riskOfRuin(0, 1, 20, 20)), 'target must exceed the bankroll');
+  assert.ok(Number.isNaN(risk.computeRisk([], 1, {}).cv));
+});
@@ -0,0 +1,65 @@
+// === sensitivity.test.js — What-if, break-even and tornado rows ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const sensitivity = require('../sensitivity');
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} vs ${b}`);
+
+// 5,000 tickets left by the ticket anchor
+const game = () => ({
+  ticketPrice: 5,
+  tiers: [
+    { prize: '$5', value: 5, odds: 5, remaining: 1000, total: 2000 },
+    { prize: '$1,000', value: 1000, odds: 1000, remaining: 4, total: 10 },
+    { prize: 'Ticket', value: NaN, isTicket: true, odds: 10, remaining: 500, total: 1000 },
+  ],
+});
+const options = {};
+
+test('whatIf edits a copy and pins M', () => {
+  const g = game();
+  const base = engine.computeEV(game(), options);
+  close(sensitivity.whatIf(g, options, {}).evNet, base.evNet);
+  const edited = sensitivity.whatIf(g, options, { M: 10000, remaining: { 1: 9 } });
+  assert.equal(edited.M, 10000);
+  assert.equal(edited.tiers[1].remaining, 9);
+  assert.equal(g.tiers[1].remaining, 4, 'the game itself is unchanged');
+  assert.equal(sensitivity.whatIf(g, options, { remaining: { 0: -5 } }).tiers[0].remaining, 0);
+});
+
+test('the top prize\'s break-even count brings net EV to zero', () => {
+  const base = engine.computeEV(game(), options);
+  const top = sensitivity.topPrizeWhatIf(game(), options, base);
+  assert.deepEqual([top.index, top.prize, top.remaining], [1, '$1,000', 4]);
+  close(top.perPrize, (1000 / 5000) / (1 - 500 / 5000), 'the free ticket shares the gain');
+  assert.ok(top.oneMoreClaimed < base.evNet);
+  const atBreakEven = sensitivity.whatIf(game(), options, { M: base.M, remaining: { 1: top.breakEven } });
+  close(atBreakEven.evNet, 0);
+
+  const ticketsOnly = { ticketPrice: 1, tiers: [{ prize: 'Ticket', value: NaN, isTicket: true, odds: 2, remaining: 5, total: 10 }] };
+  assert.equal(sensitivity.topPrizeWhatIf(ticketsOnly, options, engine.computeEV(ticketsOnly, options)), null);
+});
+
+test('sweepM spans the swing around the estimate, EV falling as M grows', () => {
+  const base = engine.computeEV(game(), options);
+  const sweep = sensitivity.sweepM(game(), options, base, 0.1);
+  assert.equal(sweep.length, 9);
+  close(sweep[0].M, base.M * 0.9);
+  close(sweep[4].evNet, base.evNet);
+  close(sweep[8].M, base.M * 1.1);
+  assert.ok(sweep.every((p, k) => k === 0 || p.evNet < sweep[k - 1].evNet));
+});
+
+test('rankInputs puts the widest swing first', () => {
+  const base = engine.computeEV(game(), options);
+  const rows = sensitivity.rankInputs(game(), options, base);
+  assert.deepEqual(rows.map((r) => r.index).sort(), [-1, 0, 1, 2]);
+  assert.ok(rows.every((r, k) => k === 0 || r.range <= rows[k - 1].range));
+  const m = rows.find((r) => r.index === -1);
+  close(m.down, sensitivity.whatIf(game(), options, { M: base.M * (1 - sensitivity.DEFAULT_SWING) }).evNet);
+  assert.ok(m.down > m.up, 'fewer tickets left means more EV per ticket');
+});
@@ -0,0 +1,131 @@
+// === snapshots.test.js — Snapshot keys, export and import ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const snapshots = require('../snapshots');
+
+// Just enough of IndexedDB for the store: one database, auto-increment
+// object stores with single-field indexes, requests that succeed async.
+function memoryIdb() {
+  const stores = new Map();
+  const req = (fn) => {
+    const r = {};
+    setImmediate(() => {
+      r.result = fn();
+      if (r.onsuccess) r.onsuccess();
+    });
+    return r;
+  };
+  function objectStore(name) {
+    const s = stores.get(name);
+    return {
+      add: (v) => req(() => {
+        const id = ++s.next;
+        s.rows.set(id, Object.assign({}, v, { [s.keyPath]: id }));
+        return id;
+      }),
+      delete: (id) => req(() => s.rows.delete(id)),
+      getAll: () => req(() => Array.from(s.rows.values(), (v) => Object.assign({}, v))),
+      index: (field) => ({
+        getAll: (key) => req(() => Array.from(s.rows.values()).filter((v) => v[field] === key).map((v) => Object.assign({}, v))),
+      }),
+    };
+  }
+  const db = {
+    createObjectStore(name, opts) {
+      stores.set(name, { keyPath: opts.keyPath, next: 0, rows: new Map() });
+      return { createIndex() {} };
+    },
+    transaction: () => ({ objectStore }),
+  };
+  return {
+    open() {
+      const r = {};
+      setImmediate(() => {
+        r.result = db;
+        if (stores.size === 0 && r.onupgradeneeded) r.onupgradeneeded();
+        r.onsuccess();
+      });
+      return r;
+    },
+  };
+}
+
+const tiers = (remaining) => [
+  { label: '$100', value: 100, odds: 1000, remaining, total: 50 },
+  { label: 'Ticket', value: 'Ticket', odds: 10, remaining: remaining * 100, total: 5000 },
+];
+
+test('gameKey uses the number, then the name, then price and tiers', () => {
+  assert.equal(snapshots.gameKey({ number: ' 1710 ', name: 'Spring' }), '1710');
+  assert.equal(snapshots.gameKey({ name: 'Spring' }), 'Spring');
+
+  const a = snapshots.gameKey({ price: 5, tiers: tiers(40) });
+  assert.match(a, /^Unnamed \$5 game [0-9a-f]{8}$/);
+  assert.equal(snapshots.gameKey({ price: 5, tiers: tiers(30) }), a, 'same game as it sells');
+  assert.notEqual(snapshots.gameKey({ price: 10, tiers: tiers(40) }), a);
+  assert.notEqual(snapshots.gameKey({ price: 5, tiers: tiers(40).slice(0, 1) }), a);
+  assert.equal(snapshots.gameKey({ price: 0, tiers: [] }), '');
+});
+
+test('snapshotOf stores the overview shape from a calculator game', () => {
+  const snap = snapshotOfCalc();
+  assert.equal(snap.gameKey, '7');
+  assert.equal(snap.price, 2);
+  assert.equal(snap.takenAt, '2026-01-01T00:00:00.000Z');
+  assert.deepEqual(snap.tiers.map((t) => [t.label, t.isTicket, t.remaining]), [['$20', false, 4], ['Ticket', true, 90]]);
+});
+
+function snapshotOfCalc() {
+  return snapshots.snapshotOf({
+    number: '7',
+    name: 'Seven',
+    ticketPrice: 2,
+    tiers: [
+      { prize: '$20', value: 20, odds: 50, remaining: 4, total: 8 },
+      { prize: 'Ticket', value: NaN, isTicket: true, odds: 10, remaining: 90, total: 100 },
+    ],
+  }, 'calculator', '2026-01-01T00:00:00.000Z');
+}
+
+test('save skips repeats; export and import round trip without duplicates', async () => {
+  const store = snapshots.createSnapshotStore(memoryIdb());
+  const game = { number: '1', name: 'One', price: 5, tiers: tiers(40) };
+  assert.ok(await store.save(game, 'overview'));
+  assert.equal(await store.save(game, 'overview'), null);
+  await new Promise((resolve) => setTimeout(resolve, 2)); // a later timestamp
+  assert.ok(await store.save(Object.assign({}, game, { tiers: tiers(30) }), 'overview'));
+  assert.equal((await store.forGame('1')).length, 2);
+
+  const archive = await store.exportJson();
+  const other = snapshots.createSnapshotStore(memoryIdb());
+  assert.deepEqual(await other.importJson(archive), { added: 2, skipped: 0 });
+  assert.deepEqual(await other.importJson(archive), { added: 0, skipped: 2 });
+  assert.deepEqual((await other.forGame('1')).map((s) => s.tiers[0].remaining), [40, 30]);
+  assert.deepEqual(await other.games().then((g) => g.map((x) => [x.key, x.count])), [['1', 2]]);
+});
+
+test('games with no number or name keep separate histories', async () => {
+  const store = snapshots.createSnapshotStore(memoryIdb());
+  const five = { price: 5, tiers: tiers(40) };
+  const ten = { price: 10, tiers: tiers(40) };
+  const imported = await store.importJson(JSON.stringify({
+    snapshots: [
+      Object.assign({ takenAt: '2026-01-01T00:00:00.000Z' }, five),
+      Object.assign({ takenAt: '2026-01-01T00:00:00.000Z' }, ten),
+      { takenAt: '2026-01-01T00:00:00.000Z', price: 0, tiers: [] },
+    ],
+  }));
+  assert.deepEqual(imported, { added: 2, skipped: 1 });
+  assert.equal((await store.forGame(snapshots.gameKey(five))).length, 1);
+  assert.equal((await store.forGame(snapshots.gameKey(ten))).length, 1);
+  assert.equal((await store.forGame('')).length, 0);
+});
+
+test('importJson rejects files without snapshots', async () => {
+  const store = snapshots.createSnapshotStore(memoryIdb());
+  await assert.rejects(store.importJson('{'), /Invalid JSON/);
+  await assert.rejects(store.importJson('{"version":1}'), /No snapshots/);
+});
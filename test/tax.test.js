@@ -0,0 +1,45 @@
+// === tax.test.js — Progressive brackets and withholding ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tax = require('../tax');
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} vs ${b}`);
+
+test('incomeTax fills each bracket in turn', () => {
+  const single = tax.FEDERAL_BRACKETS.single;
+  assert.equal(tax.incomeTax(0, single), 0);
+  close(tax.incomeTax(11600, single), 1160);
+  close(tax.incomeTax(50000, single), 1160 + (47150 - 11600) * 0.12 + (50000 - 47150) * 0.22);
+});
+
+test('a prize is taxed as the increase over the player\'s other income', () => {
+  const t = tax.prizeTax(10000, { otherIncome: 60000 });
+  // Taxable income rises from 45,400 to 55,400 after the standard deduction
+  close(t.liability.federal, (1160 + 4266 + 8250 * 0.22) - (1160 + 33800 * 0.12));
+  close(t.withholding.federal, 2400);
+  close(t.dueAtFiling, t.liability.total - 2400);
+  assert.ok(t.dueAtFiling < 0, 'a refund at filing');
+  close(t.net, 10000 - t.liability.total);
+});
+
+test('small prizes are not withheld and can fall under the deduction', () => {
+  const t = tax.prizeTax(1000, {});
+  assert.equal(t.withholding.total, 0);
+  assert.equal(t.liability.total, 0);
+  assert.equal(tax.afterTax(1000, {}), 1000);
+});
+
+test('filing status and state rules', () => {
+  const single = tax.prizeTax(1e6, {});
+  const married = tax.prizeTax(1e6, { filingStatus: 'married' });
+  assert.ok(married.liability.federal < single.liability.federal);
+
+  assert.equal(tax.prizeTax(10000, { state: 'CA', stateRate: 5 }).liability.state, 0);
+  const flat = tax.prizeTax(10000, { state: 'flat', stateRate: 5 });
+  close(flat.liability.state, 500);
+  close(flat.withholding.state, 500);
+  assert.equal(tax.prizeTax(4000, { state: 'flat', stateRate: 5 }).withholding.state, 0);
+});
@@ -0,0 +1,50 @@
+// === uncertainty.test.js — Bootstrap intervals for M and EV ===
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const uncertainty = require('../uncertainty');
+
+const page = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'ca', 'spring-green-1710.html'), 'utf8');
+
+const within = (v, ci) => assert.ok(ci.low <= v && v <= ci.high, `${v} outside [${ci.low}, ${ci.high}]`);
+
+test('odds are jittered by half their last printed digit', () => {
+  assert.equal(uncertainty.roundingHalfWidth(12), 0.5);
+  assert.equal(uncertainty.roundingHalfWidth(4.25), 0.005);
+  assert.equal(uncertainty.roundingHalfWidth('610120'), 0.5);
+});
+
+test('interval interpolates between order statistics and skips non-finite values', () => {
+  assert.deepEqual(uncertainty.interval([5, 1, 4, 2, 3], 0.5), { low: 2, high: 4 });
+  assert.deepEqual(uncertainty.interval([1, 2, Infinity, NaN], 1), { low: 1, high: 2 });
+  assert.ok(Number.isNaN(uncertainty.interval([], 0.95).low));
+  assert.equal(uncertainty.excludesZero({ low: -2, high: -1 }), true);
+  assert.equal(uncertainty.excludesZero({ low: -1, high: 1 }), false);
+});
+
+test('the calculator interval brackets the point estimate and repeats for a seed', () => {
+  const game = engine.parseCalotteryHtml(page);
+  const base = engine.computeEV(engine.parseCalotteryHtml(page), {});
+  const ci = uncertainty.evInterval(game, {});
+  assert.equal(ci.samples, uncertainty.DEFAULTS.samples);
+  within(base.M, ci.M);
+  within(base.evNet, ci.evNet);
+  assert.deepEqual(uncertainty.evInterval(game, {}), ci);
+  assert.notDeepEqual(uncertainty.evInterval(game, {}, { seed: 2 }), ci);
+});
+
+test('the overview interval covers M, EV and the EV delta', () => {
+  const game = engine.toOverviewGame(engine.parseCalotteryHtml(page));
+  const base = engine.computeOverview(game, {});
+  const ci = uncertainty.overviewInterval(game, {}, { samples: 100 });
+  assert.equal(ci.samples, 100);
+  within(base.M, ci.M);
+  within(base.calcEV, ci.calcEV);
+  within(base.deltaPercent, ci.deltaPercent);
+  assert.equal(uncertainty.overviewInterval({ price: 2, tiers: [] }, {}), null);
+});
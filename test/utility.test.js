@@ -0,0 +1,47 @@
+// === utility.test.js — Certainty equivalents and Kelly stakes ===
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const utility = require('../utility');
+
+const close = (a, b, eps) => assert.ok(Math.abs(a - b) < (eps || 1e-9), `${a} vs ${b}`);
+
+// A $1 ticket that pays $3 half the time: net odds 2 to 1 on a coin flip
+const coin = [{ probability: 0.5, adjustedValue: 3 }];
+
+test('log utility: Kelly stake and certainty equivalent of a coin flip', () => {
+  const u = utility.computeUtility(coin, 1, { bankroll: 100 });
+  assert.equal(u.gamma, 1);
+  close(u.kellyFraction, 0.5 - 0.5 / 2, 1e-9);
+  assert.equal(u.kellyTickets, 25);
+  close(u.optimalFraction, u.kellyFraction);
+  close(u.ceNet, 100 * (Math.sqrt(1.02 * 0.99) - 1));
+  close(u.riskPremium, 1.5 - u.certaintyEquivalent);
+  assert.ok(u.riskPremium > 0);
+});
+
+test('CRRA: zero aversion is risk neutral, more aversion stakes less', () => {
+  const neutral = utility.computeUtility(coin, 1, { model: 'crra', riskAversion: 0, bankroll: 100 });
+  close(neutral.certaintyEquivalent, 1.5);
+  close(neutral.riskPremium, 0);
+
+  const averse = utility.computeUtility(coin, 1, { model: 'crra', riskAversion: 2, bankroll: 100 });
+  const log = utility.computeUtility(coin, 1, { bankroll: 100 });
+  assert.ok(averse.riskPremium > log.riskPremium);
+  close(averse.optimalFraction, (Math.SQRT2 - 1) / (2 + Math.SQRT2), 1e-9);
+  close(averse.kellyFraction, log.kellyFraction);
+  assert.equal(averse.optimalTickets, 12);
+});
+
+test('a losing ticket gets no stake; a bankroll under the price gets no value', () => {
+  const losing = [{ probability: 0.1, adjustedValue: 5 }];
+  const u = utility.computeUtility(losing, 1, { bankroll: 1000 });
+  assert.deepEqual([u.kellyFraction, u.kellyTickets, u.optimalStake], [0, 0, 0]);
+  assert.ok(u.ceNet < -0.5);
+
+  const broke = utility.computeUtility(coin, 5, { bankroll: 5 });
+  assert.ok(Number.isNaN(broke.ceNet));
+  assert.ok(Number.isNaN(broke.kellyFraction));
+});
@@ -0,0 +1,64 @@
+// === validate.test.js — Game data checks ===
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const validate = require('../validate');
+
+const good = () => ({
+  name: 'Good',
+  price: 1,
+  tiers: [
+    { label: '$100', value: 100, odds: 1000, remaining: 8, total: 10 },
+    { label: '$10', value: 10, odds: 10, remaining: 800, total: 1000 },
+    { label: 'Ticket', value: 'Ticket', isTicket: true, odds: 5, remaining: 1600, total: 2000 },
+  ],
+});
+
+const messages = (issues) => issues.map((x) => `${x.level}${x.tier === undefined ? '' : '@' + x.tier}: ${x.message}`);
+
+test('consistent data, in either shape, has no issues', () => {
+  assert.deepEqual(validate.validateGame(good()), []);
+  const page = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'ca', 'spring-green-1710.html'), 'utf8');
+  assert.deepEqual(validate.validateGame(engine.parseCalotteryHtml(page)), []);
+});
+
+test('each broken tier field is an error on that tier', () => {
+  const game = good();
+  game.tiers[0].value = 'a car';
+  game.tiers[0].label = 'a car';
+  game.tiers[1].remaining = 1200;
+  game.tiers[2].odds = '';
+  const issues = validate.validateGame(game);
+  assert.ok(validate.hasErrors(issues));
+  assert.deepEqual(messages(issues), [
+    'error@0: a car: "a car" is not a recognizable prize amount.',
+    'error@1: $10: 1,200 remaining is more than the 1,000 printed.',
+    'error@2: Ticket: odds are missing or not a number; the tier is ignored.',
+  ]);
+});
+
+test('an unflagged free-ticket tier and an odd print run are reported', () => {
+  const game = good();
+  game.tiers[2] = { value: 'Free Ticket', odds: 5, remaining: 1600, total: 2000 };
+  game.tiers[0].odds = 2000;
+  assert.deepEqual(messages(validate.validateGame(game)), [
+    'error@2: Free Ticket: looks like a free-ticket tier but has no ticket label or isTicket flag, so it is valued as a cash prize.',
+    'warning@0: $100: odds × total is 100% above the other tiers\' print run; its odds or counts may be wrong.',
+    'warning: No free-ticket tier; the ticket-tier anchor estimator will fall back to another method.',
+  ]);
+  assert.equal(validate.validateGame(game, { tolerance: 1.5 }).filter((x) => x.tier === 0).length, 0);
+});
+
+test('game-level problems', () => {
+  assert.deepEqual(messages(validate.validateGame({ price: 0, tiers: [] })), ['error: No ticket price.', 'error: No prize tiers.']);
+  assert.deepEqual(messages(validate.validateGame(good(), { url: 'https://www.calottery.com/scratchers/$5/good-1' })),
+    ['warning: Ticket price $1 does not match the $5 in the page URL.']);
+  const sold = good();
+  sold.tiers.forEach((t) => { t.remaining = 0; });
+  assert.deepEqual(messages(validate.validateGame(sold)), ['error: No prizes remain; the game cannot be analyzed.']);
+});
@@ -0,0 +1,147 @@
+// === uncertainty.js — Confidence Intervals for M and EV ===
+//
+// Published odds are rounded and M is only an estimate, so each engine is
+// re-run on resampled inputs: every tier's odds are jittered within their
+// rounding interval, and (for estimators that pool all tiers) the tiers used
+// to estimate M are bootstrapped with replacement. The remaining counts
+// themselves are taken as exact.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'), require('./estimators'), require('./simulator'));
+  } else {
+    root.ScratcherUncertainty = factory(root.ScratcherEngine, root.ScratcherEstimators, root.ScratcherSimulator);
+  }
+})(typeof self !== 'undefined' ? self : this, function (engine, estimators, simulator) {
+  'use strict';
+
+  const DEFAULTS = {
+    samples: 200,
+    level: 0.95,
+    seed: 1, // fixed so re-rendering the same data shows the same interval
+  };
+
+  // Estimators that read a single tier gain nothing from tier resampling
+  const SINGLE_TIER_ESTIMATORS = ['ticket-anchor', 'fixed'];
+
+  // --- Resampling ---
+
+  // Half of the last printed digit: "12" -> 0.5, "4.25" -> 0.005
+  function roundingHalfWidth(odds) {
+    const s = String(odds);
+    const dot = s.indexOf('.');
+    const decimals = dot === -1 ? 0 : s.length - dot - 1;
+    return 0.5 * Math.pow(10, -decimals);
+  }
+
+  function jitterOdds(odds, rng) {
+    if (!(odds > 0)) return odds;
+    const h = roundingHalfWidth(odds);
+    return Math.max(odds + (rng() * 2 - 1) * h, Number.EPSILON);
+  }
+
+  function resampleTiers(tiers, rng) {
+    const out = [];
+    for (let i = 0; i < tiers.length; i++) {
+      out.push(tiers[Math.floor(rng() * tiers.length)]);
+    }
+    return out;
+  }
+
+  function sampleM(tiers, estimatorId, rng) {
+    const pool = SINGLE_TIER_ESTIMATORS.includes(estimatorId) ? tiers : resampleTiers(tiers, rng);
+    const est = estimators.estimateM(estimatorId, pool);
+    return est ? est.M : null;
+  }
+
+  // --- Summaries ---
+
+  function interval(values, level) {
+    const sorted = values.filter((v) => isFinite(v)).sort((a, b) => a - b);
+    if (sorted.length === 0) return { low: NaN, high: NaN };
+    const tail = (1 - level) / 2;
+    const at = (q) => {
+      const idx = q * (sorted.length - 1);
+      const lo = Math.floor(idx);
+      const hi = Math.ceil(idx);
+      return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+    };
+    return { low: at(tail), high: at(1 - tail) };
+  }
+
+  // True when the interval lies entirely on one side of zero.
+  function excludesZero(ci) {
+    return ci.low > 0 || ci.high < 0;
+  }
+
+  // --- Engine wrappers ---
+
+  function evInterval(game, options, params) {
+    const opts = Object.assign({}, DEFAULTS, params || {});
+    const base = engine.computeEV(game, options);
+    if (base.error) return null;
+
+    const rng = simulator.createRng(opts.seed);
+    const Ms = [];
+    const evs = [];
+    for (let i = 0; i < opts.samples; i++) {
+      const tiers = game.tiers.map((t) => Object.assign({}, t, { odds: jitterOdds(t.odds, rng) }));
+      const M = sampleM(tiers, base.estimator, rng);
+      if (!M) continue;
+      const r = engine.computeEV({ ticketPrice: game.ticketPrice, tiers }, Object.assign({}, options, { fixedM: M }));
+      if (r.error) continue;
+      Ms.push(M);
+      evs.push(r.evNet);
+    }
+
+    return {
+      level: opts.level,
+      samples: Ms.length,
+      M: interval(Ms, opts.level),
+      evNet: interval(evs, opts.level),
+    };
+  }
+
+  function overviewInterval(game, options, params) {
+    const opts = Object.assign({}, DEFAULTS, params || {});
+    const base = engine.computeOverview(game, options);
+    if (!base) return null;
+
+    const rng = simulator.createRng(opts.seed);
+    const Ms = [];
+    const evs = [];
+    const deltas = [];
+    for (let i = 0; i < opts.samples; i++) {
+      const jittered = Object.assign({}, game, {
+        tiers: game.tiers.map((t) => Object.assign({}, t, { odds: jitterOdds(engine.parseOdds(t.odds), rng) })),
+      });
+      // Normalized, jittered tiers come back from an ordinary run
+      const normalized = engine.computeOverview(jittered, options);
+      if (!normalized) continue;
+      const M = sampleM(normalized.tiers, base.estimator, rng);
+      if (!M) continue;
+      const r = engine.computeOverview(jittered, Object.assign({}, options, { fixedM: M }));
+      if (!r) continue;
+      Ms.push(M);
+      evs.push(r.calcEV);
+      deltas.push(r.deltaPercent);
+    }
+
+    return {
+      level: opts.level,
+      samples: Ms.length,
+      M: interval(Ms, opts.level),
+      calcEV: interval(evs, opts.level),
+      deltaPercent: interval(deltas, opts.level),
+    };
+  }
+
+  return {
+    DEFAULTS,
+    roundingHalfWidth,
+    interval,
+    excludesZero,
+    evInterval,
+    overviewInterval,
+  };
+});
@@ -0,0 +1,117 @@
+// === utility.js — Utility-Based Ticket Valuation ===
+//
+// Values one ticket by the expected utility of the bankroll after buying
+// it, rather than by expected value: the certainty equivalent is the sure
+// amount a player with that bankroll and risk aversion would trade the
+// ticket for. Also sizes a stake with the Kelly criterion.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScratcherUtility = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MODELS = [
+    { id: 'log', label: 'Log (Kelly)' },
+    { id: 'crra', label: 'CRRA (set risk aversion)' },
+  ];
+
+  const DEFAULT_UTILITY = {
+    model: 'log',
+    riskAversion: 2, // CRRA relative risk aversion; 1 is log utility
+  };
+
+  // Relative risk aversion the model uses: always 1 for log.
+  function gammaFor(params) {
+    if (params.model !== 'crra') return 1;
+    return params.riskAversion >= 0 ? params.riskAversion : DEFAULT_UTILITY.riskAversion;
+  }
+
+  // Per-ticket net returns on the ticket price, with probabilities; the
+  // no-win outcome takes whatever probability the tiers leave over.
+  // `tiers`: computeEV or computeOverview tiers.
+  function outcomes(tiers, price) {
+    const out = [];
+    let p = 0;
+    for (const t of tiers) {
+      if (!(t.probability > 0)) continue;
+      out.push({ p: t.probability, r: t.adjustedValue / price - 1 });
+      p += t.probability;
+    }
+    out.push({ p: Math.max(0, 1 - p), r: -1 });
+    return out;
+  }
+
+  // Certainty equivalent of betting the fraction `f` of the bankroll on the
+  // outcomes, as a return on the bankroll: CRRA is scale-free, so
+  // CE(W(1 + x)) = W(1 + CE(x)). log1p/expm1 keep tiny stakes accurate.
+  function ceReturn(list, f, gamma) {
+    if (gamma === 1) {
+      let e = 0;
+      for (const o of list) e += o.p * Math.log1p(f * o.r);
+      return Math.expm1(e);
+    }
+    const k = 1 - gamma;
+    let d = 0; // E[(1 + f r)^k] - 1
+    for (const o of list) d += o.p * Math.expm1(k * Math.log1p(f * o.r));
+    return Math.expm1(Math.log1p(d) / k);
+  }
+
+  // Fraction of the bankroll that maximizes expected utility of one scaled
+  // bet on a ticket's outcome (the Kelly fraction for gamma = 1). The
+  // derivative E[r (1 + f r)^-gamma] falls with f, so it is bisected.
+  function optimalFraction(list, gamma) {
+    const slope = (f) => list.reduce((s, o) => s + o.p * o.r * Math.pow(1 + f * o.r, -gamma), 0);
+    if (!(slope(0) > 0)) return 0;
+    let lo = 0;
+    let hi = 1 - 1e-9; // a total loss (r = -1) makes f = 1 unbounded below
+    if (slope(hi) > 0) return hi;
+    for (let i = 0; i < 100; i++) {
+      const mid = (lo + hi) / 2;
+      if (slope(mid) > 0) lo = mid;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // `params`: { model, riskAversion, bankroll }. Returns the ticket's
+  // certainty-equivalent value (gross, comparable to gross EV) and net of
+  // the price, the risk premium given up against EV, and the Kelly and
+  // model-optimal stakes in dollars and whole tickets. Values are NaN when
+  // the bankroll cannot cover a ticket.
+  function computeUtility(tiers, price, params) {
+    const opts = Object.assign({}, DEFAULT_UTILITY, params || {});
+    const gamma = gammaFor(opts);
+    const bankroll = opts.bankroll;
+    const ok = price > 0 && bankroll > price;
+    const list = ok ? outcomes(tiers, price) : [];
+    const evGross = tiers.reduce((s, t) => s + (t.probability > 0 ? t.probability * t.adjustedValue : 0), 0);
+
+    const ceNet = ok ? bankroll * ceReturn(list, price / bankroll, gamma) : NaN;
+    const kellyFraction = ok ? optimalFraction(list, 1) : NaN;
+    const fraction = ok && gamma !== 1 ? optimalFraction(list, gamma) : kellyFraction;
+    return {
+      model: opts.model,
+      gamma,
+      bankroll,
+      certaintyEquivalent: ceNet + price,
+      ceNet,
+      riskPremium: evGross - (ceNet + price),
+      kellyFraction,
+      kellyStake: kellyFraction * bankroll,
+      kellyTickets: Math.floor((kellyFraction * bankroll) / price + 1e-9),
+      optimalFraction: fraction,
+      optimalStake: fraction * bankroll,
+      optimalTickets: Math.floor((fraction * bankroll) / price + 1e-9),
+    };
+  }
+
+  return {
+    MODELS,
+    DEFAULT_UTILITY,
+    computeUtility,
+  };
+});
@@ -0,0 +1,121 @@
+// === validate.js — Game Data Checks ===
+//
+// Lists what is wrong with a game's data instead of letting the engines
+// drop it quietly. Works on either game shape. An issue is
+// { level: 'error' | 'warning', message, tier? (index) }; an error means
+// the engines skip that tier, or the whole game when no tier is usable.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./engine'), require('./prizes'));
+  } else {
+    root.ScratcherValidate = factory(root.ScratcherEngine, root.ScratcherPrizes);
+  }
+})(typeof self !== 'undefined' ? self : this, function (engine, prizes) {
+  'use strict';
+
+  // Largest relative gap between a tier's odds × total and the median of
+  // all tiers before it is reported. Rounded odds on real pages stay
+  // within a few percent.
+  const ODDS_TOLERANCE = 0.1;
+
+  function median(values) {
+    const s = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(s.length / 2);
+    return s.length % 2 === 0 ? (s[mid - 1] + s[mid]) / 2 : s[mid];
+  }
+
+  // `context.url` (or the game's own `url`) is the page the game came from,
+  // checked against the ticket price.
+  function validateGame(game, context) {
+    const ctx = context || {};
+    const tolerance = ctx.tolerance > 0 ? ctx.tolerance : ODDS_TOLERANCE;
+    const issues = [];
+    const add = (level, message, tier) => {
+      issues.push(tier === undefined ? { level, message } : { level, message, tier });
+    };
+
+    const g = engine.toOverviewGame(game);
+    if (!(g.price > 0)) add('error', 'No ticket price.');
+
+    const url = ctx.url || game.url;
+    const urlPrice = url ? engine.priceFromUrl(url) : 0;
+    if (urlPrice && g.price > 0 && urlPrice !== g.price) {
+      add('warning', `Ticket price $${g.price} does not match the $${urlPrice} in the page URL.`);
+    }
+
+    if (!Array.isArray(g.tiers) || g.tiers.length === 0) {
+      add('error', 'No prize tiers.');
+      return issues;
+    }
+
+    const pools = []; // { index, name, q: odds × total } for tiers the engines use
+    let hasTicket = false;
+    let remainingSum = 0;
+
+    g.tiers.forEach((t, i) => {
+      // Ticket tiers are recognized the way computeOverview does it
+      const label = String(t.label || t.prize || '').trim();
+      const shown = label || (t.value === undefined || t.value === null ? '' : String(t.value).trim());
+      const name = shown || `Tier ${i + 1}`;
+      const isTicket = !!t.isTicket || engine.isTicketTier(label);
+      const odds = engine.parseOdds(t.odds);
+      const remaining = Number(t.remaining);
+      const total = t.total || t.initial || remaining;
+      if (isTicket) hasTicket = true;
+
+      if (!shown) {
+        add('error', `Tier ${i + 1} has no prize.`, i);
+      } else if (!isTicket && engine.isTicketTier(shown)) {
+        add('error', `${name}: looks like a free-ticket tier but has no ticket label or isTicket flag, so it is valued as a cash prize.`, i);
+      } else if (!isTicket) {
+        const amount = typeof t.value === 'number'
+          ? t.value
+          : prizes.parsePrizeLabel(typeof t.value === 'string' ? t.value : label).amount;
+        if (!(amount >= 0)) add('error', `${name}: "${shown}" is not a recognizable prize amount.`, i);
+      }
+
+      if (!(odds > 0)) add('error', `${name}: odds are missing or not a number; the tier is ignored.`, i);
+      if (!(remaining >= 0)) {
+        add('error', `${name}: the remaining count is missing or negative.`, i);
+      } else {
+        remainingSum += remaining;
+        if (total > 0 && remaining > total) {
+          add('error', `${name}: ${remaining.toLocaleString()} remaining is more than the ${Number(total).toLocaleString()} printed.`, i);
+        }
+      }
+      if (!(total > 0)) add('error', `${name}: no total prize count; the tier is ignored.`, i);
+
+      if (odds > 0 && total > 0) pools.push({ index: i, name, q: odds * total });
+    });
+
+    // Every tier's odds × total estimates the same print run
+    if (pools.length >= 3) {
+      const mid = median(pools.map((p) => p.q));
+      for (const p of pools) {
+        const off = p.q / mid - 1;
+        if (Math.abs(off) > tolerance) {
+          add('warning', `${p.name}: odds × total is ${Math.round(Math.abs(off) * 100)}% ${off > 0 ? 'above' : 'below'} the other tiers' print run; its odds or counts may be wrong.`, p.index);
+        }
+      }
+    }
+
+    if (!hasTicket) {
+      add('warning', 'No free-ticket tier; the ticket-tier anchor estimator will fall back to another method.');
+    }
+    if (remainingSum === 0) {
+      add('error', 'No prizes remain; the game cannot be analyzed.');
+    }
+    return issues;
+  }
+
+  function hasErrors(issues) {
+    return issues.some((x) => x.level === 'error');
+  }
+
+  return {
+    ODDS_TOLERANCE,
+    validateGame,
+    hasErrors,
+  };
+});